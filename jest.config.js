@@ -1,13 +1,31 @@
+const { cassetteMode, recordedSuites } = require('./lib/cassette');
+const { loadConfig } = require('./lib/config');
+
+// Replays run offline, so only suites with recorded cassettes can take part.
+const replaySuites = () => {
+    const suites = recordedSuites();
+    if (suites.length === 0) {
+        throw new Error('CASSETTE_MODE=replay but nothing is recorded yet; run "npm run test:record" first');
+    }
+    return suites.map(suite => `<rootDir>/tests/${suite}`);
+};
+
 module.exports = {
-    testEnvironment: 'node',
-    testTimeout: 15000,
+    ...(cassetteMode() === 'replay' && { testMatch: replaySuites() }),
+    testEnvironment: '<rootDir>/jest.environment.js',
+    testTimeout: loadConfig().timeouts.testMs,
     setupFiles: ['<rootDir>/jest.setup.js'],
+    setupFilesAfterEnv: ['<rootDir>/jest.setup-after-env.js'],
+    globalSetup: '<rootDir>/jest.global-setup.js',
+    globalTeardown: '<rootDir>/jest.global-teardown.js',
     verbose: true,
     reporters: [
         'default',
-        ['jest-html-reporter', {
+        ['<rootDir>/jest.html-reporter.js', {
             pageTitle: 'Test Report',
-            outputPath: './test-report.html'
+            outputPath: './test-report.html',
+            includeFailureMsg: true,
+            transcriptsPath: './test-transcripts.json'
         }]
     ]
 };
\ No newline at end of file
@@ -0,0 +1,143 @@
+const { Writable } = require('stream');
+const { BufferedConsole, CustomConsole, getConsoleOutput } = require('@jest/console');
+const NodeEnvironment = require('jest-environment-node').TestEnvironment;
+const { formatRetries } = require('./lib/resilience');
+const { loadConfig, redactSecrets, secretsOf } = require('./lib/config');
+const { assertConformance } = require('./lib/openapi');
+const { runDir } = require('./lib/run-context');
+const { redactExchange, writeTranscript } = require('./lib/transcript');
+
+const titlesOf = (test) => {
+    const names = [];
+    for (let block = test; block && block.name !== 'ROOT_DESCRIBE_BLOCK'; block = block.parent) {
+        names.unshift(block.name);
+    }
+    return names;
+};
+
+const fullName = test => titlesOf(test).join(' > ');
+
+const SUITE_HOOKS = ['beforeAll', 'afterAll'];
+
+// e.g. `beforeAll in "Booking > Update"`, or just `afterAll` at the top level.
+const hookLabel = ({ type, parent }) => (titlesOf(parent).length ? `${type} in "${fullName(parent)}"` : type);
+
+// Passes everything written on to `target` with the secrets masked.
+const redactingStream = (target, secrets) => new Writable({
+    write(chunk, encoding, callback) {
+        target.write(redactSecrets(chunk.toString(), secrets));
+        callback();
+    }
+});
+
+// Node environment that prints the test-data seed of every failing test so
+// the run can be reproduced with BOOKER_SEED, and notes every test whose
+// requests needed retries so infrastructure flakiness is not mistaken for an
+// API regression. Credentials are masked in console output and in failure
+// messages before Jest reports them. A failing test's HTTP exchanges are
+// saved to the run directory for the HTML reporter to attach (see
+// transcript.js).
+class BookerEnvironment extends NodeEnvironment {
+    constructor(config, context) {
+        super(config, context);
+        this.testPath = context.testPath;
+        this.console = this.redactingConsole(config);
+    }
+
+    // A console formatted like Jest's own that writes through redacting
+    // streams as the test logs. Jest stays quiet under --silent.
+    redactingConsole({ globalConfig, projectConfig }) {
+        if (globalConfig.silent) {
+            return undefined;
+        }
+        this.secrets = this.secrets || secretsOf(loadConfig());
+        const out = redactingStream(globalConfig.useStderr ? process.stderr : process.stdout, this.secrets);
+        // 4 = the console call is buried 4 frames deep, as in jest-runner.
+        const format = (type, message) =>
+            getConsoleOutput(BufferedConsole.write([], type, message, 4), projectConfig, globalConfig);
+        return new CustomConsole(out, out, format);
+    }
+
+    // jest-runner installs its console before setup, so replace it here.
+    async setup() {
+        await super.setup();
+        if (this.console) {
+            this.global.console = this.console;
+        }
+    }
+
+    redact(error) {
+        this.secrets = this.secrets || secretsOf(loadConfig());
+        if (typeof error === 'string') {
+            return redactSecrets(error, this.secrets);
+        }
+        // Errors come from the test's realm, so no instanceof Error here.
+        if (error && typeof error.message === 'string') {
+            error.message = redactSecrets(error.message, this.secrets);
+            if (typeof error.stack === 'string') error.stack = redactSecrets(error.stack, this.secrets);
+        }
+        return error;
+    }
+
+    async handleTestEvent(event, state) {
+        if (event.name === 'hook_start' && SUITE_HOOKS.includes(event.hook.type)) {
+            this.global.__BOOKER_HOOK__ = hookLabel(event.hook);
+            return;
+        }
+        if (['hook_success', 'hook_failure'].includes(event.name) && SUITE_HOOKS.includes(event.hook.type)) {
+            delete this.global.__BOOKER_HOOK__;
+            return;
+        }
+        // A test file's own top-level afterAll runs after the setup file's,
+        // so whatever it sent is checked here and fails the file.
+        if (event.name === 'run_finish' && this.global.__BOOKER_CONFORMANCE__) {
+            try {
+                assertConformance(this.global.__BOOKER_CONFORMANCE__);
+            } catch (error) {
+                state.unhandledErrors.push(error);
+            }
+            return;
+        }
+        if (event.name === 'test_start') {
+            this.global.__BOOKER_RETRIES__ = [];
+            this.global.__BOOKER_TRANSCRIPT__ = [];
+            return;
+        }
+        if (event.name !== 'test_done') {
+            return;
+        }
+
+        const failed = event.test.errors.length > 0;
+        event.test.errors = event.test.errors.map(entry =>
+            (Array.isArray(entry) ? entry.map(error => this.redact(error)) : this.redact(entry)));
+
+        const transcript = this.global.__BOOKER_TRANSCRIPT__ || [];
+        if (failed && transcript.length > 0 && runDir()) {
+            const titles = titlesOf(event.test);
+            writeTranscript(runDir(), this.testPath, {
+                ancestorTitles: titles.slice(0, -1),
+                title: titles[titles.length - 1],
+                exchanges: transcript.map(exchange => redactExchange(exchange, this.secrets))
+            });
+        }
+
+        const retries = this.global.__BOOKER_RETRIES__ || [];
+        if (retries.length > 0) {
+            process.stderr.write(
+                `\n"${fullName(event.test)}" ${failed ? 'failed' : 'passed'} after ${formatRetries(retries)}` +
+                (failed ? '\n  transient failures were retried; check the target\'s health before suspecting the API' : '') +
+                '\n'
+            );
+        }
+
+        const seeds = this.global.__BOOKER_SEEDS__ || [];
+        if (failed && seeds.length > 0) {
+            process.stderr.write(
+                `\n"${fullName(event.test)}" failed with test-data seed ${seeds.join(', ')} ` +
+                `(rerun with BOOKER_SEED=${seeds[0]})\n`
+            );
+        }
+    }
+}
+
+module.exports = BookerEnvironment;
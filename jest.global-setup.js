@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startEmulator } = require('./lib/emulator/server');
+const { apiCoverageMinimum } = require('./lib/api-coverage');
+const { CASSETTE_MODES, cassetteMode } = require('./lib/cassette');
+const { describeConfig, loadConfig } = require('./lib/config');
+
+module.exports = async () => {
+    const config = loadConfig();
+    console.log(`\n${describeConfig(config)}`);
+
+    if (!CASSETTE_MODES.includes(cassetteMode())) {
+        throw new Error(`Unknown CASSETTE_MODE "${cassetteMode()}", expected one of ${CASSETTE_MODES.join(', ')}`);
+    }
+    apiCoverageMinimum();
+
+    // Shared by the workers so every correlation id names this run.
+    process.env.BOOKER_RUN_ID = process.env.BOOKER_RUN_ID || crypto.randomBytes(4).toString('hex');
+
+    if (!process.env.BOOKER_RUN_DIR) {
+        process.env.BOOKER_RUN_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'booker-run-'));
+        globalThis.__BOOKER_OWNS_RUN_DIR__ = true;
+    }
+
+    if (config.target === 'emulator') {
+        const emulator = await startEmulator();
+        globalThis.__BOOKER_EMULATOR__ = emulator;
+        process.env.API_BASE_URL = emulator.url;
+    }
+};
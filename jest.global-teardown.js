@@ -0,0 +1,58 @@
+const fs = require('fs');
+const { BookerClient } = require('./lib/client');
+const { formatCleanupSummary, runRegistry } = require('./lib/cleanup');
+const {
+    apiCoverageMinimum,
+    apiCoveragePath,
+    checkApiCoverage,
+    formatApiCoverage,
+    writeApiCoverage
+} = require('./lib/api-coverage');
+const { writeRunResults } = require('./lib/metrics');
+const { loadConfig } = require('./lib/config');
+const { cassetteMode, formatCassetteReport, readCassetteReports } = require('./lib/cassette');
+const { readNdjson, trafficLogPath, writeTrafficLog } = require('./lib/tracing');
+
+const PERFORMANCE_RESULTS_PATH = process.env.PERF_RESULTS_PATH || './performance-results.json';
+
+const cleanUpBookings = async () => {
+    const registry = runRegistry();
+    if (!registry || registry.pending().length === 0) {
+        return;
+    }
+    const summary = await registry.cleanup(new BookerClient({ registry: null }));
+    console.log(`\n${formatCleanupSummary(summary)}`);
+};
+
+module.exports = async () => {
+    const { profile, target, baseUrl } = loadConfig();
+    writeRunResults(PERFORMANCE_RESULTS_PATH, { profile, target, baseUrl });
+    const requests = writeTrafficLog(trafficLogPath());
+    console.log(`\nTraffic log: ${requests} requests of run ${process.env.BOOKER_RUN_ID} in ${trafficLogPath()}`);
+    // Only the configured target; private emulators and proxies are left out.
+    const coverage = writeApiCoverage(readNdjson(trafficLogPath()), apiCoveragePath(), { baseUrl });
+    console.log(`${formatApiCoverage(coverage)}, see ${apiCoveragePath()}`);
+
+    await cleanUpBookings();
+
+    if (cassetteMode() === 'replay') {
+        console.log(`\n${formatCassetteReport(readCassetteReports())}`);
+    }
+
+    if (globalThis.__BOOKER_EMULATOR__) {
+        await globalThis.__BOOKER_EMULATOR__.close();
+        delete globalThis.__BOOKER_EMULATOR__;
+    }
+
+    if (globalThis.__BOOKER_OWNS_RUN_DIR__) {
+        fs.rmSync(process.env.BOOKER_RUN_DIR, { recursive: true, force: true });
+        delete process.env.BOOKER_RUN_DIR;
+        delete globalThis.__BOOKER_OWNS_RUN_DIR__;
+    }
+
+    // Last, so a failed gate still cleans up.
+    const shortfall = checkApiCoverage(coverage, apiCoverageMinimum());
+    if (shortfall) {
+        throw new Error(shortfall);
+    }
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const HtmlReporter = require('jest-html-reporter');
+const { loadConfig, redactSecrets, secretsOf } = require('./lib/config');
+const { runDir } = require('./lib/run-context');
+const { attachTranscripts, readTranscripts } = require('./lib/transcript');
+
+const redactDeep = (value, secrets) => {
+    if (typeof value === 'string') return redactSecrets(value, secrets);
+    if (Array.isArray(value)) return value.map(item => redactDeep(item, secrets));
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.keys(value).reduce((copy, key) => {
+            copy[key] = redactDeep(value[key], secrets);
+            return copy;
+        }, {});
+    }
+    return value;
+};
+
+// jest-html-reporter, fed results with the configured credentials masked and
+// the HTTP transcript of every failing test appended to its failure
+// messages. The transcripts also go to `transcriptsPath` as JSON.
+class RedactingHtmlReporter {
+    constructor(globalConfig, { transcriptsPath = './test-transcripts.json', ...options } = {}) {
+        this.reporter = new HtmlReporter(globalConfig, options);
+        this.secrets = secretsOf(loadConfig());
+        this.rootDir = globalConfig.rootDir;
+        this.transcriptsPath = transcriptsPath;
+        this.transcripts = new Map();
+    }
+
+    // Read as soon as a file finishes: the run directory is gone by the end.
+    onTestResult(test, testResult) {
+        const { fileResult, attached } = attachTranscripts(testResult, readTranscripts(runDir(), testResult.testFilePath));
+        this.transcripts.set(testResult.testFilePath, { fileResult, attached });
+        return this.reporter.onTestResult(test, redactDeep(fileResult, this.secrets));
+    }
+
+    onRunComplete(contexts, results) {
+        const testResults = results.testResults.map(result =>
+            (this.transcripts.has(result.testFilePath) ? this.transcripts.get(result.testFilePath).fileResult : result));
+        this.writeTranscripts();
+        return this.reporter.onRunComplete(contexts, redactDeep({ ...results, testResults }, this.secrets));
+    }
+
+    writeTranscripts() {
+        const tests = [...this.transcripts.keys()].flatMap(testFilePath =>
+            this.transcripts.get(testFilePath).attached.map(entry => ({
+                testFilePath: path.relative(this.rootDir, testFilePath),
+                ...entry
+            })));
+        fs.writeFileSync(this.transcriptsPath, `${JSON.stringify(redactDeep({ tests }, this.secrets), null, 2)}\n`);
+    }
+}
+
+RedactingHtmlReporter.redactDeep = redactDeep;
+
+module.exports = RedactingHtmlReporter;
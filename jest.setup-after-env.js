@@ -0,0 +1,26 @@
+const matchers = require('./lib/matchers');
+const { flushRunCollector } = require('./lib/metrics');
+const { flushCassette } = require('./lib/cassette');
+const { flushTrafficLog } = require('./lib/tracing');
+const { assertConformance, runConformance } = require('./lib/openapi');
+
+expect.extend(matchers);
+
+// A test whose traffic strays from openapi.json fails with the violations.
+// Violations from beforeAll/afterAll hooks fail the file instead; the
+// environment checks whatever is sent after this afterAll.
+global.__BOOKER_CONFORMANCE__ = runConformance;
+
+afterEach(() => {
+    assertConformance(runConformance, { hooks: false });
+});
+
+afterAll(() => {
+    try {
+        assertConformance();
+    } finally {
+        flushRunCollector();
+        flushTrafficLog();
+        flushCassette();
+    }
+});
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const { createSpecValidator } = require('./openapi');
+
+// The query slot of a request without query parameters.
+const NONE = 'none';
+
+const apiCoveragePath = () => process.env.API_COVERAGE_PATH || './api-coverage.json';
+
+const htmlPathOf = jsonPath => jsonPath.replace(/(\.json)?$/, '.html');
+
+/** The API_COVERAGE_MIN gate in percent, or undefined when unset. */
+const apiCoverageMinimum = () => {
+    const value = process.env.API_COVERAGE_MIN;
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const minimum = Number(value);
+    if (!(minimum >= 0 && minimum <= 100)) {
+        throw new Error(`API_COVERAGE_MIN must be a percentage between 0 and 100, got "${value}"`);
+    }
+    return minimum;
+};
+
+const percentOf = (covered, total) => (total === 0 ? 100 : Math.round((covered / total) * 1000) / 10);
+
+const isProtected = operation => operation.securitySchemes.length > 0;
+
+// Operations without credentials have no auth slot.
+const cellsOf = (operation) => {
+    const queries = [NONE, ...operation.queryParameters];
+    const auths = isProtected(operation) ? [...operation.securitySchemes, 'none'] : [undefined];
+    return queries.flatMap(query => auths.flatMap(auth => operation.statuses.map(status => ({
+        query,
+        ...(auth && { auth }),
+        status,
+        count: 0
+    }))));
+};
+
+// e.g. `auth none → 403` or `?firstname → 200`.
+const describeCell = ({ query, auth, status }) =>
+    [query !== NONE && `?${query}`, auth && `auth ${auth}`, `→ ${status}`].filter(Boolean).join(' ');
+
+/**
+ * Compares traffic-log entries (see tracing.js) with the API surface in the
+ * spec. For every operation the cells are the combinations of query
+ * parameter (or none), auth mode (`cookie`, `basic` or `none`, where
+ * credentials are needed) and documented status; a request fills the cell
+ * of each query parameter it carries. With a `baseUrl`, only traffic to
+ * that target counts, not to private emulators or proxies. Returns
+ * `{ baseUrl, operations, covered, total, percent, uncovered }` where each
+ * operation row lists its cells with the requests that hit them.
+ * Statuses, parameters and auth combinations outside the spec (e.g.
+ * `cookie+basic`) are not cells, so they are not counted here.
+ */
+const buildApiCoverage = (entries, { baseUrl, validator = createSpecValidator() } = {}) => {
+    const operations = validator.operations.map(operation => ({
+        operation: operation.route,
+        requests: 0,
+        cells: cellsOf(operation)
+    }));
+
+    const counted = entries.filter(entry => entry.status !== undefined && (!baseUrl || entry.baseUrl === baseUrl));
+    counted.forEach((entry) => {
+        const operation = validator.match(entry.method, entry.path);
+        const row = operation && operations.find(candidate => candidate.operation === operation.route);
+        if (!row) {
+            return;
+        }
+        row.requests += 1;
+        const queries = Object.keys(entry.query || {});
+        const auth = isProtected(operation) ? entry.auth || 'none' : undefined;
+        row.cells
+            .filter(cell => cell.status === String(entry.status) && cell.auth === auth &&
+                (queries.length === 0 ? cell.query === NONE : queries.includes(cell.query)))
+            .forEach((cell) => { cell.count += 1; });
+    });
+
+    const items = operations.flatMap(row => row.cells.map(cell => ({ label: `${row.operation} ${describeCell(cell)}`, count: cell.count })));
+    const covered = items.filter(item => item.count > 0).length;
+
+    return {
+        ...(baseUrl && { baseUrl }),
+        operations,
+        covered,
+        total: items.length,
+        percent: percentOf(covered, items.length),
+        uncovered: items.filter(item => item.count === 0).map(item => item.label)
+    };
+};
+
+/** Failure message when coverage is below `minimum` percent, else undefined. */
+const checkApiCoverage = (coverage, minimum) => (minimum !== undefined && coverage.percent < minimum
+    ? `API coverage ${coverage.percent}% is below API_COVERAGE_MIN ${minimum}%; not covered:\n` +
+        coverage.uncovered.map(item => `  - ${item}`).join('\n')
+    : undefined);
+
+const formatApiCoverage = coverage =>
+    `API coverage: ${coverage.covered} of ${coverage.total} query parameter × auth mode × status combinations (${coverage.percent}%)` +
+    (coverage.uncovered.length > 0 ? `, ${coverage.uncovered.length} not covered` : '');
+
+const escapeHtml = value => String(value).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+const cellHtml = cells => cells.map(cell => (cell.count > 0
+    ? `<span class="covered" title="${cell.count} requests">${escapeHtml(describeCell(cell))} ×${cell.count}</span>`
+    : `<span class="uncovered" title="not covered">${escapeHtml(describeCell(cell))}</span>`)).join(' ');
+
+/** Standalone HTML page with one row per operation; uncovered items in red. */
+const renderApiCoverageHtml = coverage => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>API Coverage</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 6px 10px; text-align: left; vertical-align: top; }
+span { display: inline-block; margin: 2px; padding: 1px 6px; border-radius: 3px; font-family: monospace; }
+.covered { background: #d4f4d4; }
+.uncovered { background: #f8c8c8; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>API Coverage</h1>
+<p>${escapeHtml(formatApiCoverage(coverage))}${coverage.baseUrl ? ` for ${escapeHtml(coverage.baseUrl)}` : ''}</p>
+<table>
+<tr><th>Operation</th><th>Requests</th><th>Query parameter, auth mode and status</th></tr>
+${coverage.operations.map(row => `<tr><td>${escapeHtml(row.operation)}</td><td>${row.requests}</td>` +
+        `<td>${cellHtml(row.cells)}</td></tr>`).join('\n')}
+</table>
+</body>
+</html>
+`;
+
+/** Writes the JSON matrix to `jsonPath` and the HTML page next to it; returns the coverage. */
+const writeApiCoverage = (entries, jsonPath = apiCoveragePath(), options) => {
+    const coverage = buildApiCoverage(entries, options);
+    fs.writeFileSync(jsonPath, `${JSON.stringify(coverage, null, 2)}\n`);
+    fs.writeFileSync(htmlPathOf(jsonPath), renderApiCoverageHtml(coverage));
+    return coverage;
+};
+
+module.exports = {
+    apiCoverageMinimum,
+    apiCoveragePath,
+    buildApiCoverage,
+    checkApiCoverage,
+    formatApiCoverage,
+    renderApiCoverageHtml,
+    writeApiCoverage
+};
@@ -0,0 +1,98 @@
+const fc = require('fast-check');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BASE_DATE = Date.UTC(2000, 0, 1);
+const MAX_DAY_OFFSET = 365 * 50;
+
+const formatDate = days => new Date(BASE_DATE + days * DAY_MS).toISOString().slice(0, 10);
+
+// Values that should never be mistaken for a well-typed booking field.
+const junk = fc.oneof(
+    fc.jsonValue({ maxDepth: 3 }),
+    fc.string({ minLength: 1000, maxLength: 20000 }),
+    fc.constantFrom(null, true, false, 0, -1, '', ' ', 'null', 'undefined', 'NaN', '{}', '[]'),
+    fc.constantFrom('2024-13-01', '2024-02-30', '01/02/2024', '2024-1-1', 'invalid-date'),
+    fc.array(fc.jsonValue({ maxDepth: 2 }), { maxLength: 5 })
+);
+
+const name = fc.string({ unit: 'grapheme', minLength: 1, maxLength: 60 });
+
+const bookingDates = fc
+    .tuple(fc.integer({ min: 0, max: MAX_DAY_OFFSET }), fc.integer({ min: 0, max: 60 }))
+    .map(([start, nights]) => ({ checkin: formatDate(start), checkout: formatDate(start + nights) }));
+
+/** Bookings the API must accept and store verbatim. */
+const validBooking = fc.record({
+    firstname: name,
+    lastname: name,
+    totalprice: fc.integer({ min: 0, max: Number.MAX_SAFE_INTEGER }),
+    depositpaid: fc.boolean(),
+    bookingdates: bookingDates,
+    additionalneeds: fc.string({ unit: 'grapheme', maxLength: 80 })
+}, { requiredKeys: ['firstname', 'lastname', 'totalprice', 'depositpaid', 'bookingdates'] });
+
+const extraKeys = fc.dictionary(
+    fc.oneof(fc.string({ maxLength: 20 }), fc.constantFrom('__proto__', 'constructor', 'prototype', 'bookingid', '$where')),
+    junk,
+    { maxKeys: 3 }
+);
+
+/**
+ * Structurally varied booking payloads: every field may be missing, valid or
+ * junk, and unknown keys may be mixed in.
+ */
+const bookingPayload = fc
+    .tuple(
+        fc.record({
+            firstname: fc.oneof(name, junk),
+            lastname: fc.oneof(name, junk),
+            totalprice: fc.oneof(fc.integer(), fc.double(), junk),
+            depositpaid: fc.oneof(fc.boolean(), junk),
+            bookingdates: fc.oneof(
+                fc.record({
+                    checkin: fc.oneof(bookingDates.map(dates => dates.checkin), junk),
+                    checkout: fc.oneof(bookingDates.map(dates => dates.checkout), junk)
+                }, { requiredKeys: [] }),
+                junk
+            ),
+            additionalneeds: fc.oneof(name, junk)
+        }, { requiredKeys: [] }),
+        extraKeys
+    )
+    .map(([fields, extra]) => ({ ...extra, ...fields }));
+
+/** Arbitrary top-level JSON documents, including non-objects. */
+const anyBody = fc.oneof(
+    bookingPayload,
+    junk,
+    fc.array(bookingPayload, { maxLength: 3 })
+);
+
+/** Credential payloads, deliberately including type confusion and missing keys. */
+const credentials = fc
+    .tuple(
+        fc.record({
+            username: fc.oneof(fc.string({ maxLength: 30 }), junk),
+            password: fc.oneof(fc.string({ maxLength: 30 }), junk)
+        }, { requiredKeys: [] }),
+        extraKeys
+    )
+    .map(([fields, extra]) => ({ ...extra, ...fields }));
+
+/** Raw request bodies sent as-is with a JSON content type. */
+const rawJsonText = fc.oneof(
+    fc.string({ maxLength: 200 }),
+    fc.jsonValue({ maxDepth: 3 }).map(value => JSON.stringify(value).slice(0, -1)),
+    fc.constantFrom('{', '}', '{"username":', '{"a":1,}', '\u0000', '[[[[[[[[[[')
+);
+
+module.exports = {
+    anyBody,
+    bookingDates,
+    bookingPayload,
+    credentials,
+    junk,
+    name,
+    rawJsonText,
+    validBooking
+};
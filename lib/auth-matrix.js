@@ -0,0 +1,135 @@
+const { basicAuthHeader } = require('./client');
+
+const GARBAGE_TOKEN = 'not-a-real-token';
+
+/**
+ * Credential kinds, each turning a session (`{ credentials, token,
+ * expiredToken }`) into request headers. A kind returns undefined when the
+ * session cannot produce it, e.g. no expired token against a remote server.
+ */
+const CREDENTIALS = {
+    'valid cookie': ({ token }) => ({ Cookie: `token=${token}` }),
+    'valid basic': ({ credentials }) => ({ Authorization: basicAuthHeader(credentials.username, credentials.password) }),
+    'wrong basic': ({ credentials }) => ({ Authorization: basicAuthHeader(credentials.username, `${credentials.password}-wrong`) }),
+    'malformed basic': () => ({ Authorization: 'Basic invalid_base64' }),
+    'garbage token': () => ({ Cookie: `token=${GARBAGE_TOKEN}` }),
+    'expired token': ({ expiredToken }) => expiredToken && { Cookie: `token=${expiredToken}` },
+    'none': () => ({}),
+    'cookie + wrong basic': session => ({ ...CREDENTIALS['valid cookie'](session), ...CREDENTIALS['wrong basic'](session) }),
+    'garbage token + basic': session => ({ ...CREDENTIALS['garbage token'](session), ...CREDENTIALS['valid basic'](session) })
+};
+
+// How each protected route is called on a booking the cell owns; PUT sends
+// `booking` as the replacement.
+const ROUTES = {
+    'PUT /booking/:id': (client, id, headers, booking) =>
+        client.request('put', `/booking/${id}`, { auth: 'none', headers, body: booking }),
+    'PATCH /booking/:id': (client, id, headers) =>
+        client.request('patch', `/booking/${id}`, { auth: 'none', headers, body: { totalprice: 1 } }),
+    'DELETE /booking/:id': (client, id, headers) =>
+        client.request('delete', `/booking/${id}`, { auth: 'none', headers })
+};
+
+/**
+ * Expected status per route and credential kind. Either a live token cookie
+ * or valid Basic credentials is enough, as in Restful-Booker; a bad one next
+ * to a good one does not matter. Leave a cell out to mark it untested.
+ */
+const AUTHORIZATION_MATRIX = {
+    'PUT /booking/:id': {
+        'valid cookie': 200,
+        'valid basic': 200,
+        'wrong basic': 403,
+        'malformed basic': 403,
+        'garbage token': 403,
+        'expired token': 403,
+        'none': 403,
+        'cookie + wrong basic': 200,
+        'garbage token + basic': 200
+    },
+    'PATCH /booking/:id': {
+        'valid cookie': 200,
+        'valid basic': 200,
+        'wrong basic': 403,
+        'malformed basic': 403,
+        'garbage token': 403,
+        'expired token': 403,
+        'none': 403,
+        'cookie + wrong basic': 200,
+        'garbage token + basic': 200
+    },
+    'DELETE /booking/:id': {
+        'valid cookie': 201,
+        'valid basic': 201,
+        'wrong basic': 403,
+        'malformed basic': 403,
+        'garbage token': 403,
+        'expired token': 403,
+        'none': 403,
+        'cookie + wrong basic': 201,
+        'garbage token + basic': 201
+    }
+};
+
+/** The matrix as `[route, credential, status]` rows, for test.each. */
+const matrixCases = (matrix = AUTHORIZATION_MATRIX) => Object.keys(matrix).flatMap(route =>
+    Object.keys(matrix[route]).map(credential => [route, credential, matrix[route][credential]]));
+
+/**
+ * Collects the outcome of every cell and renders the grid of routes by
+ * credential kinds: `ok 403`, `FAIL 200≠403`, `skip`, or `--` for a pair
+ * the matrix does not cover.
+ */
+const createCoverageGrid = (matrix = AUTHORIZATION_MATRIX) => {
+    const outcomes = new Map();
+    const keyOf = (route, credential) => `${route} ${credential}`;
+
+    return {
+        record(route, credential, status) {
+            outcomes.set(keyOf(route, credential), { status });
+        },
+
+        skip(route, credential) {
+            outcomes.set(keyOf(route, credential), { skipped: true });
+        },
+
+        cell(route, credential) {
+            const expected = matrix[route] && matrix[route][credential];
+            const outcome = outcomes.get(keyOf(route, credential));
+            if (expected === undefined) return '--';
+            if (!outcome) return 'not run';
+            if (outcome.skipped) return 'skip';
+            return outcome.status === expected ? `ok ${expected}` : `FAIL ${outcome.status}≠${expected}`;
+        },
+
+        /** Route × credential pairs with no expected status. */
+        gaps() {
+            return Object.keys(ROUTES).flatMap(route => Object.keys(CREDENTIALS)
+                .filter(credential => !matrix[route] || matrix[route][credential] === undefined)
+                .map(credential => `${route} × ${credential}`));
+        },
+
+        format() {
+            const columns = Object.keys(CREDENTIALS);
+            const header = ['route', ...columns];
+            const rows = Object.keys(ROUTES).map(route => [route, ...columns.map(column => this.cell(route, column))]);
+            const widths = header.map((title, index) => Math.max(title.length, ...rows.map(row => row[index].length)));
+            const line = cells => cells.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+            const gaps = this.gaps();
+            return [
+                line(header),
+                ...rows.map(line),
+                '',
+                gaps.length === 0 ? 'Every route × credential pair is covered' : `Not covered: ${gaps.join(', ')}`
+            ].join('\n');
+        }
+    };
+};
+
+module.exports = {
+    AUTHORIZATION_MATRIX,
+    CREDENTIALS,
+    ROUTES,
+    createCoverageGrid,
+    matrixCases
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const { loadConfig } = require('./config');
+
+const DEFAULT_BASELINE_PATH = './performance-baseline.json';
+const BASELINE_SUITE = 'performance.test.js';
+const LATENCY_METRICS = ['p50', 'p95', 'p99'];
+
+const baselinePath = () => process.env.PERF_BASELINE_PATH || DEFAULT_BASELINE_PATH;
+
+// Percentiles of a handful of samples are noise, so endpoints with fewer are
+// neither accepted into a baseline nor gated.
+const minSamplesFromEnv = () => Number(process.env.PERF_BASELINE_MIN_SAMPLES || 20);
+
+// On whenever the performance suite runs; PERF_BASELINE_GATE=0 turns a
+// regression into a printed comparison only.
+const baselineGateEnabled = () => process.env.PERF_BASELINE_GATE !== '0';
+
+// Latency depends on what we talk to, so baselines are stored per target:
+// "emulator" for the bundled emulator, otherwise the remote base URL.
+const baselineKey = ({ target, baseUrl } = loadConfig()) =>
+    (target === 'emulator' ? 'emulator' : baseUrl);
+
+const toleranceFromEnv = () => ({
+    tolerance: Number(process.env.PERF_TOLERANCE || 0.5),
+    toleranceMs: Number(process.env.PERF_TOLERANCE_MS || 50),
+    errorRateTolerance: Number(process.env.PERF_ERROR_RATE_TOLERANCE || 0),
+    minSamples: minSamplesFromEnv()
+});
+
+const loadBaseline = (file = baselinePath()) => {
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * Compares one endpoint's stats against its baseline. A latency metric
+ * regresses when it exceeds baseline * (1 + tolerance) + toleranceMs; the
+ * error rate when it exceeds baseline + errorRateTolerance. With
+ * `minSamples`, a run with fewer samples than that fails too.
+ */
+const compareToBaseline = (baseline, current, { tolerance, toleranceMs, errorRateTolerance, minSamples } = toleranceFromEnv()) => {
+    const rows = LATENCY_METRICS
+        .filter(metric => baseline[metric] !== undefined)
+        .map((metric) => {
+            const limit = baseline[metric] * (1 + tolerance) + toleranceMs;
+            return { metric, baseline: baseline[metric], current: current[metric], limit };
+        });
+
+    if (baseline.errorRate !== undefined) {
+        rows.push({
+            metric: 'errorRate',
+            baseline: baseline.errorRate,
+            current: current.errorRate,
+            limit: baseline.errorRate + errorRateTolerance
+        });
+    }
+
+    const compared = rows.map(row => ({
+        ...row,
+        regressed: row.current === undefined || row.current > row.limit
+    }));
+    if (minSamples) {
+        compared.unshift({
+            metric: 'count',
+            baseline: baseline.count,
+            current: current.count,
+            limit: minSamples,
+            regressed: !(current.count >= minSamples)
+        });
+    }
+    return compared;
+};
+
+const formatNumber = value => (value === undefined ? 'n/a' : String(Math.round(value * 1000) / 1000));
+
+const formatChange = ({ baseline, current }) => {
+    if (current === undefined || baseline === 0) {
+        return '';
+    }
+    const change = ((current - baseline) / baseline) * 100;
+    return `${change >= 0 ? '+' : ''}${change.toFixed(0)}%`;
+};
+
+/** Side-by-side text table of a comparison, marking regressed metrics. */
+const formatComparison = (endpoint, rows) => {
+    const header = ['metric', 'baseline', 'current', 'change', 'limit', ''];
+    const body = rows.map(row => [
+        row.metric,
+        formatNumber(row.baseline),
+        formatNumber(row.current),
+        formatChange(row),
+        formatNumber(row.limit),
+        row.regressed ? 'REGRESSED' : 'ok'
+    ]);
+    const widths = header.map((title, index) => Math.max(title.length, ...body.map(cells => cells[index].length)));
+    const line = cells => cells.map((cell, index) =>
+        (index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index]))).join('  ').trimEnd();
+    return [endpoint, line(header), ...body.map(line)].join('\n');
+};
+
+const pickBaselineStats = (stats, endpoints) => endpoints.reduce((picked, endpoint) => {
+    const { count, errorRate } = stats[endpoint];
+    picked[endpoint] = { count, errorRate };
+    LATENCY_METRICS.forEach((metric) => {
+        picked[endpoint][metric] = stats[endpoint][metric];
+    });
+    return picked;
+}, {});
+
+/**
+ * Stores the performance suite's stats from a results file as the new
+ * baseline for that run's target, keeping baselines for other targets.
+ * Endpoints with fewer than `minSamples` samples are left out.
+ */
+const acceptBaseline = ({ resultsPath, file = baselinePath(), minSamples = minSamplesFromEnv() }) => {
+    const results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+    const stats = results.suites && results.suites[BASELINE_SUITE];
+    if (!stats) {
+        throw new Error(`${resultsPath} has no results for ${BASELINE_SUITE}; run "npm run test:performance" first`);
+    }
+
+    const key = baselineKey(results);
+    const all = Object.keys(stats).sort();
+    const endpoints = all.filter(endpoint => stats[endpoint].count >= minSamples);
+    const baseline = loadBaseline(file);
+    baseline[key] = { acceptedAt: results.generatedAt, endpoints: pickBaselineStats(stats, endpoints) };
+    fs.writeFileSync(file, `${JSON.stringify(baseline, null, 2)}\n`);
+    return { key, endpoints, skipped: all.filter(endpoint => !endpoints.includes(endpoint)) };
+};
+
+module.exports = {
+    BASELINE_SUITE,
+    acceptBaseline,
+    baselineGateEnabled,
+    baselineKey,
+    compareToBaseline,
+    formatComparison,
+    loadBaseline,
+    toleranceFromEnv
+};
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { tagName } = require('./cleanup');
+
+const FILTER_KEYS = ['firstname', 'lastname', 'checkin', 'checkout'];
+
+/**
+ * The oracle for GET /booking filters, as documented by Restful-Booker:
+ * names match exactly (case-sensitive, no trimming); `checkin` and
+ * `checkout` keep bookings whose date is on or after the given one.
+ */
+const matchesFilters = (booking, filters) =>
+    (filters.firstname === undefined || booking.firstname === filters.firstname) &&
+    (filters.lastname === undefined || booking.lastname === filters.lastname) &&
+    (filters.checkin === undefined || booking.bookingdates.checkin >= filters.checkin) &&
+    (filters.checkout === undefined || booking.bookingdates.checkout >= filters.checkout);
+
+/** Ids of the `seeded` (`[{ bookingid, booking }]`) that `filters` should return, ascending. */
+const expectedIds = (seeded, filters) => seeded
+    .filter(({ booking }) => matchesFilters(booking, filters))
+    .map(({ bookingid }) => bookingid)
+    .sort((a, b) => a - b);
+
+/**
+ * Bookings for filter tests, their names carrying a per-run `tag` so no
+ * other booking matches them. They cover a case variant, a `+` that must not
+ * read as a space, URL-special characters and stays a day either side of the
+ * date boundaries used by `filterValues`.
+ */
+const filterBookings = (tag = crypto.randomBytes(3).toString('hex')) => {
+    const booking = (firstname, lastname, checkin, checkout) => ({
+        firstname,
+        lastname: tagName(lastname),
+        totalprice: 100,
+        depositpaid: true,
+        bookingdates: { checkin, checkout }
+    });
+    return [
+        booking(`Ada ${tag}`, `Lovelace ${tag}`, "2031-03-10", "2031-03-15"),
+        booking(`Ada ${tag}`, `Byron ${tag}`, "2031-03-09", "2031-03-14"),
+        booking(`ada ${tag}`, `Lovelace ${tag}`, "2031-03-11", "2031-03-16"),
+        booking(`Ada ${tag}`, `Lovelace ${tag}`, "2031-04-01", "2031-04-02"),
+        booking(`Zoë & Co ${tag}`, `O'Brien+Smith=50% #1 ${tag}`, "2031-03-12", "2031-03-15"),
+        booking(`Ada+${tag}`, `Lovelace ${tag}`, "2031-03-10", "2031-03-10")
+    ];
+};
+
+/** Values tried per filter: the boundary dates and the names of `bookings`. */
+const filterValues = bookings => ({
+    firstname: [bookings[0].firstname, bookings[4].firstname],
+    lastname: [bookings[0].lastname, bookings[4].lastname],
+    checkin: ['2031-03-10', '2031-03-12'],
+    checkout: ['2031-03-15', '2031-03-16']
+});
+
+/** Every combination of filters, each absent or set to one of its `values`. */
+const filterCombinations = values => FILTER_KEYS.reduce((combinations, key) => combinations.flatMap(filters => [
+    filters,
+    ...values[key].map(value => ({ ...filters, [key]: value }))
+]), [{}]).filter(filters => Object.keys(filters).length > 0);
+
+module.exports = {
+    FILTER_KEYS,
+    expectedIds,
+    filterBookings,
+    filterCombinations,
+    filterValues,
+    matchesFilters
+};
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { currentTest, runDir } = require('./run-context');
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+// Suites whose traffic is recorded and replayed. Others (fuzzing, load,
+// fault-injection helpers) always talk to a live target.
+const CASSETTE_SUITES = ['auth.test.js', 'booking.test.js', 'performance.test.js'];
+
+const DEFAULT_CASSETTE_DIR = path.join(__dirname, '..', 'tests', 'cassettes');
+
+const SUITE_FILE = '_suite.json';
+
+// Response headers worth keeping: the ones tests and the client act on.
+const RECORDED_HEADERS = [
+    'content-type', 'retry-after', 'ratelimit-limit', 'ratelimit-remaining', 'ratelimit-reset',
+    'x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset'
+];
+
+// Request headers that differ on every run, so never recorded or matched.
+const IGNORED_REQUEST_HEADERS = ['x-correlation-id'];
+
+// Replayed values are minted from placeholder numbers so they are stable
+// across replays and cannot collide with literal ids used by tests.
+const MINT = {
+    bookingid: n => 9000000 + n,
+    token: n => `replay${String(n).padStart(9, '0')}`
+};
+
+const cassetteMode = () => process.env.CASSETTE_MODE || 'off';
+
+const cassetteDir = () => process.env.CASSETTE_DIR || DEFAULT_CASSETTE_DIR;
+
+const hash = value => crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 12);
+
+// Secrets are stored as hashes: still matched strictly, never readable.
+const redact = value => `<redacted:${hash(value)}>`;
+
+const cassetteFileName = (testName) => {
+    if (testName === '(hook)') {
+        return 'hooks.json';
+    }
+    const slug = testName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80);
+    return `${slug}-${hash(testName).slice(0, 6)}.json`;
+};
+
+const sortKeys = value => Object.keys(value || {}).sort().reduce((sorted, key) => {
+    sorted[key] = value[key];
+    return sorted;
+}, {});
+
+const describeRequest = request =>
+    `${request.method} ${request.path}${Object.keys(request.query).length ? `?${new URLSearchParams(request.query)}` : ''}`;
+
+/**
+ * Records or replays the HTTP traffic of one test file, one cassette per
+ * test under `<dir>/<suite>/`. Booking ids and tokens are stored as
+ * `{{bookingid:n}}` / `{{token:n}}` placeholders so recordings stay stable;
+ * credentials are stored as hashes.
+ *
+ * Replay matches requests strictly (method, path, query, body and the
+ * headers the client sent, bar the correlation id) but not in order, since suites fire concurrent
+ * requests. A request without a recorded match fails with a description of
+ * the closest recordings and is listed in the run's cassette report.
+ */
+const createCassetteDeck = ({ mode, dir, suite }) => {
+    const suiteDir = path.join(dir, suite);
+    const cassettes = new Map();
+    const placeholders = { bookingid: new Map(), token: new Map() };
+    const unmatched = [];
+    let seeds;
+
+    const placeholderFor = (kind, value, assign) => {
+        const known = placeholders[kind];
+        if (!known.has(value)) {
+            if (!assign) return undefined;
+            known.set(value, known.size + 1);
+        }
+        return `{{${kind}:${known.get(value)}}}`;
+    };
+
+    // In replay the "real" values are the minted ones.
+    const valueOf = (placeholder) => {
+        const [, kind, n] = /^\{\{(\w+):(\d+)\}\}$/.exec(placeholder) || [];
+        if (!kind) return placeholder;
+        const value = MINT[kind](Number(n));
+        placeholders[kind].set(value, Number(n));
+        return value;
+    };
+
+    const normalizeValue = (kind, value, assign) => placeholderFor(kind, value, assign) || value;
+
+    const walk = (value, visit) => {
+        if (Array.isArray(value)) return value.map(item => walk(item, visit));
+        if (value && typeof value === 'object') {
+            return Object.keys(value).reduce((copy, key) => {
+                copy[key] = visit(key, walk(value[key], visit));
+                return copy;
+            }, {});
+        }
+        return value;
+    };
+
+    const normalizeRequest = ({ method, path: urlPath, query, headers, body }) => {
+        const normalizedHeaders = Object.keys(headers).reduce((picked, name) => {
+            const key = name.toLowerCase();
+            if (IGNORED_REQUEST_HEADERS.includes(key)) return picked;
+            let value = String(headers[name]);
+            if (key === 'authorization') value = redact(value);
+            if (key === 'cookie') {
+                value = value.replace(/token=([^;\s]+)/, (_, token) => `token=${normalizeValue('token', token)}`);
+            }
+            picked[key] = value;
+            return picked;
+        }, {});
+
+        const normalizedBody = walk(body, (key, value) => (key === 'password' ? redact(value) : value));
+
+        return {
+            method: method.toUpperCase(),
+            path: urlPath.replace(/^\/booking\/(\d+)/, (match, id) => `/booking/${normalizeValue('bookingid', Number(id))}`),
+            query: sortKeys(query),
+            headers: sortKeys(normalizedHeaders),
+            ...(body !== undefined && { body: normalizedBody })
+        };
+    };
+
+    const normalizeResponse = (response) => {
+        const headers = RECORDED_HEADERS
+            .filter(name => response.headers[name] !== undefined)
+            .reduce((picked, name) => ({ ...picked, [name]: response.headers[name] }), {});
+        const json = /json/.test(headers['content-type'] || '');
+        const body = walk(json ? response.body : undefined, (key, value) => {
+            if (key === 'bookingid') return placeholderFor('bookingid', value, true);
+            if (key === 'token') return placeholderFor('token', value, true);
+            return value;
+        });
+        return { status: response.statusCode, headers, ...(json ? { body } : { text: response.text }) };
+    };
+
+    const materialize = (recorded) => {
+        const body = recorded.body === undefined ? {} : walk(recorded.body, (key, value) =>
+            (typeof value === 'string' ? valueOf(value) : value));
+        return {
+            statusCode: recorded.status,
+            status: recorded.status,
+            headers: recorded.headers,
+            body,
+            text: recorded.text !== undefined ? recorded.text : JSON.stringify(body),
+            replayed: true
+        };
+    };
+
+    const loadCassette = (testName) => {
+        if (!cassettes.has(testName)) {
+            const file = path.join(suiteDir, cassetteFileName(testName));
+            // Recording always starts from an empty cassette.
+            const cassette = mode === 'replay' && fs.existsSync(file)
+                ? JSON.parse(fs.readFileSync(file, 'utf8'))
+                : { test: testName, interactions: [] };
+            cassette.interactions.forEach((interaction) => {
+                interaction.used = false;
+            });
+            cassettes.set(testName, cassette);
+        }
+        return cassettes.get(testName);
+    };
+
+    const replay = (testName, request) => {
+        const cassette = loadCassette(testName);
+        const key = JSON.stringify(request);
+        const interaction = cassette.interactions.find(candidate =>
+            !candidate.used && JSON.stringify(candidate.request) === key);
+
+        if (!interaction) {
+            const similar = cassette.interactions
+                .filter(candidate => candidate.request.method === request.method && candidate.request.path === request.path)
+                .map(candidate => JSON.stringify(candidate.request));
+            unmatched.push({ test: testName, request });
+            throw new Error(
+                `No recorded interaction for ${describeRequest(request)} in ` +
+                `${path.relative(process.cwd(), path.join(suiteDir, cassetteFileName(testName)))}\n` +
+                `  request: ${key}\n` +
+                (similar.length
+                    ? `  recorded for the same route:\n${similar.map(line => `    ${line}`).join('\n')}`
+                    : '  nothing was recorded for this route; re-record with CASSETTE_MODE=record')
+            );
+        }
+
+        interaction.used = true;
+        if (interaction.error) {
+            throw Object.assign(new Error(interaction.error.message), interaction.error);
+        }
+        return materialize(interaction.response);
+    };
+
+    return {
+        mode,
+        suite,
+
+        /**
+         * Runs `perform` (which sends the real request) in record mode, or
+         * answers from the cassette in replay mode.
+         */
+        async exchange(request, perform, testName = (currentTest() || { name: '(hook)' }).name) {
+            const normalized = normalizeRequest(request);
+            if (mode === 'replay') {
+                return replay(testName, normalized);
+            }
+
+            const cassette = loadCassette(testName);
+            try {
+                const response = await perform();
+                cassette.interactions.push({ request: normalized, response: normalizeResponse(response) });
+                return response;
+            } catch (error) {
+                const recordedError = { message: error.message, code: error.code, timeout: error.timeout };
+                cassette.interactions.push({ request: normalized, error: sortKeys(recordedError) });
+                throw error;
+            }
+        },
+
+        // Seeds used for generated test data, recorded so replays send the
+        // same bookings. Replay hands them out in recorded order.
+        nextSeed() {
+            if (mode !== 'replay') return undefined;
+            if (seeds === undefined) {
+                const file = path.join(suiteDir, SUITE_FILE);
+                seeds = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).seeds.slice() : [];
+            }
+            return seeds.shift();
+        },
+
+        unmatched,
+
+        unused() {
+            return [...cassettes.values()].flatMap(cassette => cassette.interactions
+                .filter(interaction => interaction.used === false)
+                .map(interaction => ({ test: cassette.test, request: interaction.request })));
+        },
+
+        // Writes recorded cassettes, or the replay report into the run dir.
+        flush() {
+            if (mode === 'record') {
+                fs.mkdirSync(suiteDir, { recursive: true });
+                fs.writeFileSync(path.join(suiteDir, SUITE_FILE),
+                    `${JSON.stringify({ suite, seeds: globalThis.__BOOKER_SEEDS__ || [] }, null, 2)}\n`);
+                cassettes.forEach((cassette, testName) => {
+                    const interactions = cassette.interactions.map(({ used, ...interaction }) => interaction);
+                    fs.writeFileSync(path.join(suiteDir, cassetteFileName(testName)),
+                        `${JSON.stringify({ test: testName, interactions }, null, 2)}\n`);
+                });
+            } else if (mode === 'replay' && runDir()) {
+                fs.writeFileSync(path.join(runDir(), `cassette-report-${suite}.json`),
+                    JSON.stringify({ suite, unmatched, unused: this.unused() }));
+            }
+        }
+    };
+};
+
+let deck;
+
+/** Deck for the current test file, or undefined when cassettes are off for it. */
+const activeCassette = () => {
+    const mode = cassetteMode();
+    const test = currentTest();
+    if (mode === 'off' || !test || !CASSETTE_SUITES.includes(test.suite)) {
+        return undefined;
+    }
+    if (!deck) {
+        deck = createCassetteDeck({ mode, dir: cassetteDir(), suite: test.suite });
+    }
+    return deck;
+};
+
+const flushCassette = () => {
+    if (deck) deck.flush();
+};
+
+const recordedSuites = (dir = cassetteDir()) => CASSETTE_SUITES
+    .filter(suite => fs.existsSync(path.join(dir, suite, SUITE_FILE)));
+
+const readCassetteReports = (dir = runDir()) => {
+    if (!dir || !fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter(name => /^cassette-report-.*\.json$/.test(name))
+        .map(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+};
+
+const formatCassetteReport = (reports) => {
+    const unmatched = reports.flatMap(report => report.unmatched.map(entry => ({ ...entry, suite: report.suite })));
+    const unused = reports.flatMap(report => report.unused.map(entry => ({ ...entry, suite: report.suite })));
+    const lines = [`Cassette replay: ${unmatched.length} unmatched requests, ${unused.length} recorded interactions not replayed`];
+    unmatched.forEach(({ suite, test, request }) => lines.push(`  - unmatched ${describeRequest(request)} in "${suite} > ${test}"`));
+    unused.forEach(({ suite, test, request }) => lines.push(`  - not replayed ${describeRequest(request)} from "${suite} > ${test}"`));
+    return lines.join('\n');
+};
+
+module.exports = {
+    CASSETTE_MODES,
+    CASSETTE_SUITES,
+    activeCassette,
+    cassetteDir,
+    cassetteFileName,
+    cassetteMode,
+    createCassetteDeck,
+    flushCassette,
+    formatCassetteReport,
+    readCassetteReports,
+    recordedSuites
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const { runDir, describeTest } = require('./run-context');
+
+// Appended to the lastname of generated bookings so leftovers can be found
+// by `npm run purge` even when a run never reached its teardown.
+const TEST_TAG = 'booker-test';
+
+const tagName = name => `${name} ${TEST_TAG}`;
+
+const isTagged = (booking, tag = TEST_TAG) =>
+    [booking.firstname, booking.lastname].some(name => typeof name === 'string' && name.includes(tag));
+
+/**
+ * Append-only record of bookings created during a run. Workers append one
+ * JSON line per event, so the file is safe to share between processes.
+ */
+const createCleanupRegistry = (file) => {
+    const append = (entry) => fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+
+    const read = () => {
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+        return fs.readFileSync(file, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .map(line => JSON.parse(line));
+    };
+
+    const pending = () => {
+        const bookings = new Map();
+        read().forEach((entry) => {
+            if (entry.event === 'created') bookings.set(entry.bookingid, entry.test);
+            if (entry.event === 'deleted') bookings.delete(entry.bookingid);
+        });
+        return [...bookings].map(([bookingid, test]) => ({ bookingid, test }));
+    };
+
+    return {
+        file,
+
+        recordCreated(bookingid, test) {
+            append({ event: 'created', bookingid, test });
+        },
+
+        recordDeleted(bookingid) {
+            append({ event: 'deleted', bookingid });
+        },
+
+        pending,
+
+        // Deletes everything still pending. 404/405 mean someone else already
+        // removed the booking and count as success.
+        async cleanup(client, { auth = 'basic' } = {}) {
+            const summary = { removed: [], alreadyGone: [], failed: [] };
+
+            for (const booking of pending()) {
+                try {
+                    const { status } = await client.deleteBooking(booking.bookingid, { auth });
+                    if (status === 201 || status === 200) {
+                        summary.removed.push(booking);
+                        this.recordDeleted(booking.bookingid);
+                    } else if (status === 404 || status === 405) {
+                        summary.alreadyGone.push(booking);
+                        this.recordDeleted(booking.bookingid);
+                    } else {
+                        summary.failed.push({ ...booking, reason: `HTTP ${status}` });
+                    }
+                } catch (error) {
+                    summary.failed.push({ ...booking, reason: error.message });
+                }
+            }
+
+            return summary;
+        }
+    };
+};
+
+const formatCleanupSummary = ({ removed, alreadyGone, failed }) => {
+    const total = removed.length + alreadyGone.length + failed.length;
+    const lines = [
+        `Booking cleanup: ${removed.length} removed, ${alreadyGone.length} already gone, ` +
+        `${failed.length} could not be removed (${total} left over by tests)`
+    ];
+    failed.forEach(({ bookingid, test, reason }) => {
+        lines.push(`  - booking ${bookingid} from "${describeTest(test)}": ${reason}`);
+    });
+    return lines.join('\n');
+};
+
+// Registry for the current Jest run, or undefined outside one.
+const runRegistry = () => (runDir() ? createCleanupRegistry(path.join(runDir(), 'created-bookings.ndjson')) : undefined);
+
+module.exports = {
+    TEST_TAG,
+    createCleanupRegistry,
+    formatCleanupSummary,
+    isTagged,
+    runRegistry,
+    tagName
+};
@@ -0,0 +1,325 @@
+const request = require('supertest');
+const { activeCassette } = require('./cassette');
+const { runRegistry } = require('./cleanup');
+const { loadConfig } = require('./config');
+const { currentTest } = require('./run-context');
+const { FORMATS, formatFromEnv, parseBody, serializeBody } = require('./formats');
+const { endpointOf, runCollector } = require('./metrics');
+const { sharedTokenManager } = require('./tokens');
+const { recordExchange } = require('./transcript');
+const { CORRELATION_HEADER, formatCorrelationHeader, headerValue, nextCorrelation, runTrafficLog } = require('./tracing');
+const { runConformance } = require('./openapi');
+const { backoffDelay, backoffFromEnv, rateLimitInfo } = require('./rate-limit');
+const {
+    isIdempotent,
+    recordRetries,
+    resolveRetryPolicy,
+    retryDelay,
+    retryPolicyFromEnv,
+    transientFailure
+} = require('./resilience');
+
+const basicAuthHeader = (username, password) =>
+    `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+/**
+ * Thin wrapper around supertest for the Restful-Booker API.
+ *
+ * Every method resolves to `{ status, body, response, durationMs }` where
+ * `response` is the raw supertest response. Protected calls accept an `auth` option:
+ * `'token'` (cookie, logging in first if needed), `'basic'`, `'none'`,
+ * `{ token }` for an explicit cookie token or `{ username, password }` for
+ * Basic auth with other credentials.
+ *
+ * The base URL, credentials and `timeoutMs` default to the active config
+ * profile (config.js), `tokens` to the file's token manager (tokens.js) and
+ * `format` to BOOKER_FORMAT (formats.js). The run's `registry` (cleanup.js),
+ * `timings` (metrics.js), `traffic` (tracing.js), `conformance`
+ * (openapi.js), `rateLimit` (rate-limit.js), `retry` (resilience.js) and
+ * `cassette` (cassette.js) are used unless set to `null`.
+ */
+class BookerClient {
+    constructor({
+        baseUrl,
+        credentials,
+        registry = runRegistry(),
+        timings = runCollector,
+        traffic = runTrafficLog,
+        conformance = runConformance,
+        timeoutMs,
+        rateLimit = backoffFromEnv(),
+        retry = retryPolicyFromEnv(),
+        cassette = activeCassette(),
+        tokens = sharedTokenManager(),
+        format = formatFromEnv()
+    } = {}) {
+        const config = loadConfig();
+        this.baseUrl = baseUrl || config.baseUrl;
+        this.credentials = credentials || config.credentials;
+        this.registry = registry;
+        this.timings = timings;
+        this.traffic = traffic;
+        this.conformance = conformance;
+        this.timeoutMs = timeoutMs === undefined ? config.timeouts.requestMs : timeoutMs;
+        this.rateLimit = rateLimit;
+        this.retry = retry;
+        this.cassette = cassette;
+        this.tokens = tokens;
+        this.format = format;
+    }
+
+    authHeaders(auth) {
+        if (!auth || auth === 'none') {
+            return {};
+        }
+        if (auth === 'basic') {
+            return { Authorization: basicAuthHeader(this.credentials.username, this.credentials.password) };
+        }
+        if (typeof auth === 'object' && 'token' in auth) {
+            return { Cookie: `token=${auth.token}` };
+        }
+        if (typeof auth === 'object' && 'username' in auth) {
+            return { Authorization: basicAuthHeader(auth.username, auth.password) };
+        }
+        throw new Error(`Unsupported auth option: ${JSON.stringify(auth)}`);
+    }
+
+    // `'token'` results carry `tokenAgeMs`, and `reauthenticated: true` when a
+    // 403 made the client log in again and replay the request.
+    async request(method, path, options = {}) {
+        if (options.auth !== 'token') {
+            return this.perform(method, path, options, this.authHeaders(options.auth));
+        }
+
+        const withToken = async () => {
+            const session = await this.tokens.acquire(this.baseUrl, this.credentials, () => this.auth());
+            const tokenAgeMs = this.tokens.ageOf(session);
+            const result = await this.perform(method, path, options, { Cookie: `token=${session.token}` });
+            return { session, result: { ...result, tokenAgeMs } };
+        };
+
+        // A 403 may only mean the token expired or was revoked: log in again
+        // and replay once.
+        const first = await withToken();
+        if (first.result.status !== 403) {
+            return first.result;
+        }
+        this.tokens.invalidate(this.baseUrl, this.credentials, first.session.token);
+        return { ...(await withToken()).result, reauthenticated: true };
+    }
+
+    // Sends the request, riding out throttling and transient failures. Results
+    // then carry `rateLimitRetries` and `retries` (the reason of each retry).
+    async perform(method, path, options, authHeaders) {
+        const {
+            query,
+            headers = {},
+            format = 'json',
+            accept = FORMATS[format].accept,
+            contentType = FORMATS[format].contentType,
+            retry
+        } = options;
+        const body = serializeBody(options.body, format);
+        const retryPolicy = resolveRetryPolicy(this.retry, retry);
+        const canRetry = retryPolicy && isIdempotent(method, retryPolicy);
+
+        const correlation = nextCorrelation();
+        const allHeaders = { [CORRELATION_HEADER]: formatCorrelationHeader(correlation), ...authHeaders, ...headers };
+        const sentHeaders = {
+            ...(accept && { Accept: accept }),
+            ...(body !== undefined && { 'Content-Type': contentType }),
+            ...allHeaders
+        };
+        const descriptor = { method, path, query, headers: sentHeaders, body, correlation };
+
+        const build = () => {
+            let req = request(this.baseUrl)[method.toLowerCase()](path);
+            if (query) {
+                req = req.query(query);
+            }
+            if (accept) {
+                req = req.set('Accept', accept);
+            }
+            if (this.timeoutMs) {
+                req = req.timeout(this.timeoutMs);
+            }
+            Object.keys(allHeaders).forEach((name) => {
+                req = req.set(name, allHeaders[name]);
+            });
+            if (body !== undefined) {
+                req = req.set('Content-Type', contentType).send(body);
+            }
+            return req;
+        };
+
+        const reasons = [];
+        const finish = (outcome) => {
+            if (reasons.length > 0) {
+                recordRetries({ endpoint: endpointOf(method, path), reasons, outcome });
+            }
+        };
+
+        for (let throttled = 0; ;) {
+            let result;
+            let error;
+            try {
+                result = await this.send(descriptor, build);
+            } catch (sendError) {
+                error = sendError;
+            }
+
+            const info = result && rateLimitInfo(result);
+            const throttleDelay = this.rateLimit && info && info.throttled
+                ? backoffDelay(info, throttled, this.rateLimit)
+                : undefined;
+            // Throttled answers are the rate-limit policy's business, so a
+            // 503 with Retry-After is never retried as a transient failure.
+            const failure = info && info.throttled ? undefined : transientFailure(result || { error });
+
+            if (throttleDelay !== undefined) {
+                throttled += 1;
+                await new Promise(resolve => setTimeout(resolve, throttleDelay));
+            } else if (failure && canRetry && reasons.length < retryPolicy.retries) {
+                await new Promise(resolve => setTimeout(resolve, retryDelay(reasons.length, retryPolicy)));
+                reasons.push(failure);
+            } else if (error) {
+                finish(error.code || error.message);
+                error.retries = reasons;
+                throw error;
+            } else {
+                finish(`HTTP ${result.status}`);
+                return {
+                    ...result,
+                    ...(throttled > 0 && { rateLimitRetries: throttled }),
+                    ...(reasons.length > 0 && { retries: reasons })
+                };
+            }
+        }
+    }
+
+    // Sends one request (or replays it from the cassette) and records its
+    // timing, its traffic-log line and its exchange for the test's transcript.
+    async send(descriptor, build) {
+        const { method, path, query, headers, correlation } = descriptor;
+        const startedAt = Date.now();
+        const start = process.hrtime.bigint();
+        const elapsed = () => Number(process.hrtime.bigint() - start) / 1e6;
+        const exchange = {
+            method: method.toUpperCase(),
+            url: `${this.baseUrl}${path}${query ? `?${new URLSearchParams(query)}` : ''}`,
+            requestHeaders: headers,
+            requestBody: descriptor.body === undefined || typeof descriptor.body === 'string'
+                ? descriptor.body
+                : JSON.stringify(descriptor.body)
+        };
+        let response;
+        try {
+            response = this.cassette
+                ? await this.cassette.exchange(descriptor, build)
+                : await build();
+        } catch (error) {
+            if (this.timings) {
+                this.timings.record({ method, path, error, durationMs: elapsed() });
+            }
+            if (this.traffic) {
+                this.traffic.record({ correlation, baseUrl: this.baseUrl, method, path, query, headers, startedAt, error, durationMs: elapsed() });
+            }
+            recordExchange({ ...exchange, error: error.code || error.message, durationMs: elapsed() });
+            throw error;
+        }
+
+        const durationMs = elapsed();
+        if (this.timings) {
+            this.timings.record({ method, path, status: response.statusCode, durationMs });
+        }
+        if (this.traffic) {
+            this.traffic.record({
+                correlation,
+                baseUrl: this.baseUrl,
+                method,
+                path,
+                query,
+                headers,
+                startedAt,
+                status: response.statusCode,
+                durationMs,
+                replayed: response.replayed
+            });
+        }
+        if (this.conformance) {
+            this.conformance.record({
+                method,
+                path,
+                query,
+                requestContentType: headerValue(headers, 'content-type'),
+                requestBody: descriptor.body,
+                status: response.statusCode,
+                responseContentType: response.headers['content-type'],
+                responseText: response.text
+            });
+        }
+        recordExchange({
+            ...exchange,
+            status: response.statusCode,
+            responseHeaders: response.headers,
+            responseBody: response.text,
+            durationMs
+        });
+        const type = response.headers['content-type'] || '';
+        const body = /xml/i.test(type) ? parseBody(response.text, type) : response.body;
+        return { status: response.statusCode, body, response, durationMs };
+    }
+
+    async auth(credentials = this.credentials) {
+        // Logging in twice is harmless, so /auth may be retried despite being a POST.
+        const result = await this.request('post', '/auth', {
+            body: credentials,
+            retry: this.retry ? { idempotent: true } : false
+        });
+        if (result.body && result.body.token) {
+            this.tokens.store(this.baseUrl, credentials, result.body.token);
+        }
+        return { ...result, token: result.body && result.body.token };
+    }
+
+    ping(options) {
+        return this.request('get', '/ping', options);
+    }
+
+    listBookings(filters, options = {}) {
+        return this.request('get', '/booking', { ...options, query: filters });
+    }
+
+    async createBooking(booking, options = {}) {
+        const result = await this.request('post', '/booking', { format: this.format, ...options, body: booking });
+        if (this.registry && !result.response.replayed && result.status === 200 && result.body && result.body.bookingid !== undefined) {
+            this.registry.recordCreated(result.body.bookingid, currentTest());
+        }
+        return result;
+    }
+
+    getBooking(id, options = {}) {
+        return this.request('get', `/booking/${id}`, { format: this.format, ...options });
+    }
+
+    updateBooking(id, booking, options = {}) {
+        return this.request('put', `/booking/${id}`, { auth: 'token', format: this.format, ...options, body: booking });
+    }
+
+    patchBooking(id, patch, options = {}) {
+        return this.request('patch', `/booking/${id}`, { auth: 'token', format: this.format, ...options, body: patch });
+    }
+
+    async deleteBooking(id, options = {}) {
+        const result = await this.request('delete', `/booking/${id}`, { auth: 'token', ...options });
+        if (this.registry && !result.response.replayed && result.status === 201) {
+            this.registry.recordDeleted(Number(id));
+        }
+        return result;
+    }
+}
+
+module.exports = {
+    BookerClient,
+    basicAuthHeader
+};
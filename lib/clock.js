@@ -0,0 +1,19 @@
+/**
+ * Clock that only moves when told to, for expiry tests. Pass `clock.now`
+ * wherever a `now` option is accepted (emulator, token manager, rate limiter).
+ */
+const createManualClock = (start = Date.now()) => {
+    let time = start;
+    return {
+        now: () => time,
+
+        advance(ms) {
+            time += ms;
+            return time;
+        }
+    };
+};
+
+module.exports = {
+    createManualClock
+};
@@ -0,0 +1,165 @@
+require('dotenv').config();
+
+const TARGETS = ['emulator', 'remote'];
+
+/**
+ * Named environment profiles. `target` decides whether Jest starts the
+ * bundled emulator (which then replaces `baseUrl`) or talks to `baseUrl`.
+ * `undefined` marks a value that must come from the environment.
+ */
+const PROFILES = {
+    local: {
+        target: 'emulator',
+        baseUrl: 'http://127.0.0.1:3001',
+        credentials: { username: 'admin', password: 'password123' },
+        timeouts: { requestMs: 10000, testMs: 15000 },
+        performance: { responseMs: 3000, p95Ms: 800, p99Ms: 1500, latencySamples: 30 }
+    },
+    staging: {
+        target: 'remote',
+        baseUrl: undefined,
+        credentials: { username: undefined, password: undefined },
+        timeouts: { requestMs: 15000, testMs: 30000 },
+        performance: { responseMs: 3000, p95Ms: 1500, p99Ms: 3000, latencySamples: 30 }
+    },
+    production: {
+        target: 'remote',
+        baseUrl: 'https://restful-booker.herokuapp.com',
+        credentials: { username: undefined, password: undefined },
+        timeouts: { requestMs: 15000, testMs: 30000 },
+        // Fewer samples: production is shared, so keep the load gentle.
+        performance: { responseMs: 3000, p95Ms: 1500, p99Ms: 3000, latencySamples: 10 }
+    }
+};
+
+const DEFAULT_PROFILE = 'local';
+
+// Environment variables that override profile values, by config path.
+const OVERRIDES = {
+    target: ['API_TARGET'],
+    baseUrl: ['API_BASE_URL'],
+    // Not the bare USERNAME: Windows and many CI shells set it to the OS user.
+    'credentials.username': ['BOOKER_USERNAME'],
+    'credentials.password': ['BOOKER_PASSWORD'],
+    'timeouts.requestMs': ['REQUEST_TIMEOUT_MS'],
+    'timeouts.testMs': ['TEST_TIMEOUT_MS'],
+    'performance.responseMs': ['PERF_RESPONSE_THRESHOLD'],
+    'performance.p95Ms': ['PERF_P95_THRESHOLD'],
+    'performance.p99Ms': ['PERF_P99_THRESHOLD'],
+    'performance.latencySamples': ['PERF_LATENCY_SAMPLES']
+};
+
+const NUMERIC = /^(timeouts|performance)\./;
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Applies a script's `--profile <name>` flag by setting BOOKER_PROFILE, so
+ * every module of the process resolves the same profile, and returns the
+ * arguments without it.
+ */
+const useProfileFlag = (argv) => {
+    const index = argv.indexOf('--profile');
+    if (index === -1) {
+        return argv;
+    }
+    if (!argv[index + 1]) {
+        throw new Error('--profile needs a value');
+    }
+    process.env.BOOKER_PROFILE = argv[index + 1];
+    return [...argv.slice(0, index), ...argv.slice(index + 2)];
+};
+
+const setPath = (object, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((node, key) => node[key], object)[last] = value;
+};
+
+const getPath = (object, path) => path.split('.').reduce((node, key) => node && node[key], object);
+
+const variablesFor = path => OVERRIDES[path].join(' or ');
+
+const validate = (config) => {
+    const errors = [];
+
+    if (!TARGETS.includes(config.target)) {
+        errors.push(`target must be one of ${TARGETS.join(', ')}, got "${config.target}" (API_TARGET)`);
+    }
+    if (!config.baseUrl) {
+        errors.push(`base URL is missing; set ${variablesFor('baseUrl')}`);
+    } else if (!/^https?:\/\/[^/]+/.test(config.baseUrl)) {
+        errors.push(`base URL must be an http(s) URL, got "${config.baseUrl}" (API_BASE_URL)`);
+    }
+    ['credentials.username', 'credentials.password'].forEach((path) => {
+        if (!getPath(config, path)) {
+            errors.push(`${path.split('.')[1]} is missing; set ${variablesFor(path)}`);
+        }
+    });
+    Object.keys(OVERRIDES).filter(path => NUMERIC.test(path)).forEach((path) => {
+        const value = getPath(config, path);
+        if (!Number.isFinite(value) || value <= 0) {
+            errors.push(`${path} must be a positive number, got "${value}" (${variablesFor(path)})`);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration for profile "${config.profile}":\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+    return config;
+};
+
+/**
+ * Resolves the active profile (`profile`, else BOOKER_PROFILE, else
+ * "local"), applies environment overrides and validates the result, throwing
+ * with every missing or invalid value.
+ */
+const loadConfig = ({ profile, env = process.env } = {}) => {
+    const name = profile || env.BOOKER_PROFILE || DEFAULT_PROFILE;
+    if (!PROFILES[name]) {
+        throw new Error(`Unknown profile "${name}", expected one of ${Object.keys(PROFILES).join(', ')}`);
+    }
+
+    const config = { profile: name, ...JSON.parse(JSON.stringify(PROFILES[name])) };
+    Object.keys(OVERRIDES).forEach((path) => {
+        const variable = OVERRIDES[path].find(candidate => env[candidate] !== undefined && env[candidate] !== '');
+        if (variable) {
+            setPath(config, path, NUMERIC.test(path) ? Number(env[variable]) : env[variable]);
+        }
+    });
+
+    return validate(config);
+};
+
+/** Strings that must never appear in logs or reports: the password and the Basic credentials. */
+const secretsOf = ({ credentials: { username, password } }) => [
+    Buffer.from(`${username}:${password}`).toString('base64'),
+    `${username}:${password}`,
+    password
+].filter(Boolean);
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const redactSecrets = (text, secrets = secretsOf(loadConfig())) => {
+    if (typeof text !== 'string' || secrets.length === 0) {
+        return text;
+    }
+    return text.replace(new RegExp(secrets.map(escapeRegExp).join('|'), 'g'), REDACTED);
+};
+
+/** One-line summary of the configuration with the password masked. */
+const describeConfig = config =>
+    `Profile "${config.profile}": target ${config.target}, ` +
+    `${config.target === 'emulator' ? 'bundled emulator' : config.baseUrl}, user ${config.credentials.username}, ` +
+    `password ${REDACTED}`;
+
+module.exports = {
+    DEFAULT_PROFILE,
+    PROFILES,
+    REDACTED,
+    describeConfig,
+    loadConfig,
+    redactSecrets,
+    secretsOf,
+    useProfileFlag
+};
@@ -0,0 +1,218 @@
+const { isDeepStrictEqual } = require('util');
+
+const CALLS = {
+    put: (client, id, body) => client.updateBooking(id, body, { retry: false }),
+    patch: (client, id, body) => client.patchBooking(id, body, { retry: false }),
+    delete: (client, id) => client.deleteBooking(id, { retry: false }),
+    get: (client, id) => client.getBooking(id, { retry: false })
+};
+
+// Spreads `reads` GETs evenly between the writes, in firing order.
+const interleave = (operations, reads) => {
+    const calls = [...operations];
+    for (let read = reads; read > 0; read--) {
+        calls.splice(Math.round(read * operations.length / (reads + 1)), 0, { type: 'get' });
+    }
+    return calls;
+};
+
+/**
+ * Fires `operations` (`{ type: 'put' | 'patch' | 'delete' | 'get', body }`)
+ * at booking `id` without waiting between them, with `reads` GETs spread
+ * among them, then reads the final state once every call has settled.
+ * Resolves to the history: one entry per call with its start and end (ms
+ * since the first call), status and body. Retries are off, so each entry is
+ * exactly one request.
+ */
+const recordHistory = async (client, id, operations, { reads = 0 } = {}) => {
+    const origin = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - origin) / 1e6;
+
+    const call = async (operation, index) => {
+        const start = elapsed();
+        try {
+            const { status, body } = await CALLS[operation.type](client, id, operation.body);
+            return { index, ...operation, start, end: elapsed(), status, ...(status === 200 && { response: body }) };
+        } catch (error) {
+            return { index, ...operation, start, end: elapsed(), error: error.code || error.message };
+        }
+    };
+
+    const history = await Promise.all(interleave(operations, reads).map(call));
+    history.push(await call({ type: 'get', final: true }, history.length));
+    return history;
+};
+
+const mergePatch = (booking, patch) => ({
+    ...booking,
+    ...patch,
+    ...(patch.bookingdates && { bookingdates: { ...booking.bookingdates, ...patch.bookingdates } })
+});
+
+// What `entry` does to `state` (a booking, or null once deleted) when run on
+// its own, and the status and body it should answer with.
+const apply = (state, { type, body }) => {
+    if (state === null) {
+        return { state, status: type === 'get' ? 404 : 405 };
+    }
+    switch (type) {
+        case 'put':
+            return { state: body, status: 200, response: body };
+        case 'patch': {
+            const patched = mergePatch(state, body);
+            return { state: patched, status: 200, response: patched };
+        }
+        case 'delete':
+            return { state: null, status: 201 };
+        default:
+            return { state, status: 200, response: state };
+    }
+};
+
+// Calls that failed in transit or with a 5xx may or may not have reached the
+// store; other statuses outside the API's answers (401, 403, ...) changed
+// nothing. Only 200, 201, 404 and 405 are checked against the model.
+const outcomeOf = ({ status }) => {
+    if (status === undefined || status >= 500) return 'unknown';
+    return [200, 201, 404, 405].includes(status) ? 'checked' : 'refused';
+};
+
+// Next states that explain `entry`'s observed answer when it runs on `state`.
+const successors = (state, entry) => {
+    const expected = apply(state, entry);
+    switch (outcomeOf(entry)) {
+        case 'unknown':
+            return isDeepStrictEqual(expected.state, state) ? [state] : [state, expected.state];
+        case 'refused':
+            return [state];
+        default:
+            return expected.status === entry.status &&
+                (expected.response === undefined || isDeepStrictEqual(entry.response, expected.response))
+                ? [expected.state]
+                : [];
+    }
+};
+
+/**
+ * Searches for a serial order of `history` that respects real time (a call
+ * that ended before another started comes first) and explains every
+ * observed answer, starting from `initial`. Entries in `lost` are treated
+ * as never having happened. Returns the order as history indexes, or null.
+ */
+const linearize = (initial, history, { lost = [] } = {}) => {
+    const dead = new Set();
+
+    const search = (state, remaining) => {
+        if (remaining.length === 0) {
+            return [];
+        }
+        const key = `${JSON.stringify(state)}|${remaining.map(({ index }) => index).join(',')}`;
+        if (dead.has(key)) {
+            return null;
+        }
+        const earliestEnd = Math.min(...remaining.map(({ end }) => end));
+        for (const entry of remaining.filter(({ start }) => start <= earliestEnd)) {
+            const rest = remaining.filter(other => other !== entry);
+            for (const next of successors(state, entry)) {
+                const order = search(next, rest);
+                if (order) {
+                    return [entry.index, ...order];
+                }
+            }
+        }
+        dead.add(key);
+        return null;
+    };
+
+    return search(initial, history.filter(entry => !lost.includes(entry)));
+};
+
+const describeEntry = ({ index, type, final, status, error }) =>
+    `#${index} ${final ? 'final ' : ''}${type.toUpperCase()} → ${error || status}`;
+
+// Leaves as dotted paths, so partial bookingdates patches compare per field.
+const flatten = (value, prefix = '') => Object.keys(value).reduce((flat, key) => {
+    const path = `${prefix}${key}`;
+    return value[key] !== null && typeof value[key] === 'object'
+        ? { ...flat, ...flatten(value[key], `${path}.`) }
+        : { ...flat, [path]: value[key] };
+}, {});
+
+// A booking is torn when no single base (the initial booking or one PUT)
+// explains it with patches on top: some of its fields came from one writer
+// and some from another.
+const isTorn = (booking, initial, history) => {
+    const writes = history.filter(({ type }) => type === 'put' || type === 'patch');
+    const patched = writes.filter(({ type }) => type === 'patch').map(({ body }) => flatten(body));
+    const bases = [initial, ...writes.filter(({ type }) => type === 'put').map(({ body }) => body)];
+    const observed = flatten(booking);
+
+    return bases.every((base) => {
+        const fields = flatten(base);
+        return [...new Set([...Object.keys(fields), ...Object.keys(observed)])].some(path =>
+            !isDeepStrictEqual(observed[path], fields[path]) &&
+            !patched.some(patch => path in patch && isDeepStrictEqual(patch[path], observed[path])));
+    });
+};
+
+/**
+ * Checks a history from `recordHistory` against the serial orderings of its
+ * calls. Returns `{ consistent, order, anomalies }`, where `order` is one
+ * explaining order of history indexes and each anomaly is
+ * `{ kind, message, entries }` with kind 'resurrected-delete', 'torn-write',
+ * 'lost-update' or 'not-serializable'.
+ */
+const checkHistory = (initial, history) => {
+    const order = linearize(initial, history);
+    if (order) {
+        return { consistent: true, order, anomalies: [] };
+    }
+
+    const anomalies = [];
+    const deletes = history.filter(({ type, status }) => type === 'delete' && status === 201);
+    deletes.forEach((deletion) => {
+        const revived = history.filter(entry => entry.start > deletion.end && entry.status === 200);
+        if (revived.length > 0) {
+            anomalies.push({
+                kind: 'resurrected-delete',
+                message: `${describeEntry(deletion)} was acknowledged, but ${revived.map(describeEntry).join(', ')} found the booking afterwards`,
+                entries: [deletion.index, ...revived.map(({ index }) => index)]
+            });
+        }
+    });
+
+    history.filter(({ response }) => response !== undefined && isTorn(response, initial, history)).forEach((entry) => {
+        anomalies.push({
+            kind: 'torn-write',
+            message: `${describeEntry(entry)} returned fields mixed from different writers: ${JSON.stringify(entry.response)}`,
+            entries: [entry.index]
+        });
+    });
+
+    // An acknowledged write whose removal explains everything else was lost.
+    history
+        .filter(({ type, status }) => (type === 'put' || type === 'patch') && status === 200)
+        .filter(write => linearize(initial, history, { lost: [write] }))
+        .forEach((write) => {
+            anomalies.push({
+                kind: 'lost-update',
+                message: `${describeEntry(write)} was acknowledged, but no later state reflects it: ${JSON.stringify(write.body)}`,
+                entries: [write.index]
+            });
+        });
+
+    if (anomalies.length === 0) {
+        anomalies.push({
+            kind: 'not-serializable',
+            message: `No serial order of the calls explains the answers: ${history.map(describeEntry).join(', ')}`,
+            entries: history.map(({ index }) => index)
+        });
+    }
+    return { consistent: false, order: null, anomalies };
+};
+
+module.exports = {
+    checkHistory,
+    linearize,
+    recordHistory
+};
@@ -0,0 +1,50 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const CONTRACTS = {
+    authToken: require('./schemas/auth-token.json'),
+    booking: require('./schemas/booking.json'),
+    createdBooking: require('./schemas/created-booking.json'),
+    bookingIds: require('./schemas/booking-ids.json')
+};
+
+const ajv = new Ajv({ allErrors: true, strict: true });
+addFormats(ajv, ['date']);
+Object.values(CONTRACTS).forEach(schema => ajv.addSchema(schema));
+
+const describeError = (error) => {
+    const path = error.instancePath || '(root)';
+    if (error.keyword === 'additionalProperties') {
+        return `${path}: unexpected field "${error.params.additionalProperty}"`;
+    }
+    if (error.keyword === 'required') {
+        const parent = error.instancePath || '';
+        return `${parent}/${error.params.missingProperty}: is required`;
+    }
+    return `${path}: ${error.message}`;
+};
+
+/**
+ * Validates `value` against a named contract.
+ * Resolves to `{ valid, errors }` where `errors` are field-level messages
+ * such as `/totalprice: must be number`.
+ */
+const validateContract = (name, value) => {
+    const schema = CONTRACTS[name];
+    if (!schema) {
+        throw new Error(`Unknown contract "${name}". Known contracts: ${Object.keys(CONTRACTS).join(', ')}`);
+    }
+
+    const validate = ajv.getSchema(schema.$id);
+    const valid = validate(value);
+    return {
+        valid,
+        errors: valid ? [] : validate.errors.map(describeError)
+    };
+};
+
+module.exports = {
+    CONTRACTS,
+    describeError,
+    validateContract
+};
@@ -0,0 +1,305 @@
+const http = require('http');
+const crypto = require('crypto');
+const { BookingStore } = require('./store');
+const { validateBooking, pickBooking } = require('./validation');
+const { createRateLimiter } = require('../rate-limit');
+const { loadConfig } = require('../config');
+const { XML_DECLARATION, parseBody, toXml } = require('../formats');
+
+const sendStatus = (res, statusCode) => {
+    res.writeHead(statusCode, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(http.STATUS_CODES[statusCode]);
+};
+
+const sendJson = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+};
+
+// The representation a request accepts, or undefined (418) when it
+// accepts none that the API serves.
+const negotiate = (req) => {
+    const accept = req.headers.accept;
+    if (!accept || /(\*\/\*|application\/json)/i.test(accept)) return 'json';
+    if (/(application|text)\/xml/i.test(accept)) return 'xml';
+    return undefined;
+};
+
+const sendBooking = (req, res, statusCode, body, root) => {
+    if (negotiate(req) === 'xml') {
+        res.writeHead(statusCode, { 'Content-Type': 'application/xml; charset=utf-8' });
+        return res.end(`${XML_DECLARATION}${toXml(root, body)}`);
+    }
+    return sendJson(res, statusCode, body);
+};
+
+const parseCookies = (header = '') =>
+    header.split(';').reduce((cookies, pair) => {
+        const index = pair.indexOf('=');
+        if (index > -1) {
+            cookies[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+        }
+        return cookies;
+    }, {});
+
+// Drains the whole body but keeps at most `limit` bytes; a longer body
+// resolves to undefined.
+const readBody = (req, limit = Infinity) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size <= limit) chunks.push(chunk);
+    });
+    req.on('end', () => resolve(size > limit ? undefined : Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+});
+
+const parseBookingId = (value) => (/^\d+$/.test(value) ? Number(value) : undefined);
+
+/**
+ * Creates an in-process emulator of the Restful-Booker API.
+ * Nothing listens until `listen()` is called. It accepts the active config
+ * profile's credentials unless `credentials` are given. Booking bodies may
+ * be JSON, XML or form-urlencoded; responses are JSON or XML by `Accept`,
+ * and any other `Accept` gets 418.
+ *
+ * `rateLimit: { limit, windowMs }` throttles it like a real deployment:
+ * every response carries RateLimit-* headers and requests beyond `limit` per
+ * window get 429 with Retry-After. Off by default.
+ *
+ * `tokenTtlMs` makes tokens expire that long after they were issued (never by
+ * default). `tokens` maps each live token to its issue time; delete one to
+ * revoke it. `now` replaces the clock, e.g. with a manual one (see clock.js).
+ *
+ * Bodies over `bodyLimitBytes` (100 KiB, Express's default) get 413.
+ */
+const createEmulator = ({
+    credentials = loadConfig().credentials,
+    store = new BookingStore(),
+    rateLimit,
+    tokenTtlMs,
+    now = Date.now,
+    bodyLimitBytes = 100 * 1024
+} = {}) => {
+    const tokens = new Map();
+    const sockets = new Set();
+    const limiter = rateLimit ? createRateLimiter({ now, ...rateLimit }) : undefined;
+
+    const isLiveToken = (token) => {
+        if (!tokens.has(token)) {
+            return false;
+        }
+        if (tokenTtlMs !== undefined && now() - tokens.get(token) >= tokenTtlMs) {
+            tokens.delete(token);
+            return false;
+        }
+        return true;
+    };
+
+    const isAuthorised = (req) => {
+        const { token } = parseCookies(req.headers.cookie);
+        if (token && isLiveToken(token)) {
+            return true;
+        }
+
+        const match = /^Basic (.+)$/.exec(req.headers.authorization || '');
+        if (!match) {
+            return false;
+        }
+        const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+        return decoded === `${credentials.username}:${credentials.password}`;
+    };
+
+    const routes = {
+        'POST /auth': (req, res, { body }) => {
+            if (body && body.username === credentials.username && body.password === credentials.password) {
+                const token = crypto.randomBytes(8).toString('hex').slice(0, 15);
+                tokens.set(token, now());
+                return sendJson(res, 200, { token });
+            }
+            return sendJson(res, 200, { reason: 'Bad credentials' });
+        },
+
+        'GET /ping': (req, res) => sendStatus(res, 201),
+
+        'GET /booking': (req, res, { query }) => {
+            const filters = {};
+            ['firstname', 'lastname', 'checkin', 'checkout'].forEach(key => {
+                if (query.has(key)) filters[key] = query.get(key);
+            });
+            return sendJson(res, 200, store.findIds(filters).map(bookingid => ({ bookingid })));
+        },
+
+        'POST /booking': (req, res, { body }) => {
+            if (validateBooking(body).length > 0) {
+                return sendStatus(res, 500);
+            }
+            if (!negotiate(req)) {
+                return sendStatus(res, 418);
+            }
+            const booking = pickBooking(body);
+            const bookingid = store.create(booking);
+            return sendBooking(req, res, 200, { bookingid, booking }, 'created-booking');
+        },
+
+        'GET /booking/:id': (req, res, { id }) => {
+            const booking = id && store.get(id);
+            if (!booking) {
+                return sendStatus(res, 404);
+            }
+            if (!negotiate(req)) {
+                return sendStatus(res, 418);
+            }
+            return sendBooking(req, res, 200, booking, 'booking');
+        },
+
+        'PUT /booking/:id': (req, res, { id, body }) => {
+            if (!isAuthorised(req)) {
+                return sendStatus(res, 403);
+            }
+            if (validateBooking(body).length > 0) {
+                return sendStatus(res, 400);
+            }
+            if (!id || !store.has(id)) {
+                return sendStatus(res, 405);
+            }
+            if (!negotiate(req)) {
+                return sendStatus(res, 418);
+            }
+            return sendBooking(req, res, 200, store.replace(id, pickBooking(body)), 'booking');
+        },
+
+        'PATCH /booking/:id': (req, res, { id, body }) => {
+            if (!isAuthorised(req)) {
+                return sendStatus(res, 403);
+            }
+            if (!id || !store.has(id)) {
+                return sendStatus(res, 405);
+            }
+            const patch = body === undefined ? {} : body;
+            if (validateBooking(patch, { partial: true }).length > 0) {
+                return sendStatus(res, 400);
+            }
+            const current = store.get(id);
+            const merged = {
+                ...current,
+                ...patch,
+                bookingdates: { ...current.bookingdates, ...patch.bookingdates }
+            };
+            if (validateBooking(merged).length > 0) {
+                return sendStatus(res, 400);
+            }
+            if (!negotiate(req)) {
+                return sendStatus(res, 418);
+            }
+            return sendBooking(req, res, 200, store.replace(id, pickBooking(merged)), 'booking');
+        },
+
+        'DELETE /booking/:id': (req, res, { id }) => {
+            if (!isAuthorised(req)) {
+                return sendStatus(res, 403);
+            }
+            if (!id || !store.delete(id)) {
+                return sendStatus(res, 405);
+            }
+            return sendStatus(res, 201);
+        }
+    };
+
+    const resolveRoute = (method, pathname) => {
+        const bookingMatch = /^\/booking\/([^/]+)\/?$/.exec(pathname);
+        if (bookingMatch) {
+            return { handler: routes[`${method} /booking/:id`], id: parseBookingId(bookingMatch[1]) };
+        }
+        return { handler: routes[`${method} ${pathname.replace(/\/$/, '') || '/'}`] };
+    };
+
+    const handle = async (req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+
+        if (req.method === 'OPTIONS') {
+            res.setHeader('Access-Control-Allow-Methods', 'GET,HEAD,PUT,PATCH,POST,DELETE');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Cookie, Authorization');
+            res.writeHead(204);
+            return res.end();
+        }
+
+        if (limiter) {
+            const { allowed, retryAfterSeconds, headers } = limiter.check();
+            Object.keys(headers).forEach(name => res.setHeader(name, headers[name]));
+            if (!allowed) {
+                await readBody(req);
+                res.setHeader('Retry-After', String(retryAfterSeconds));
+                return sendStatus(res, 429);
+            }
+        }
+
+        const url = new URL(req.url, 'http://emulator.local');
+        const { handler, id } = resolveRoute(req.method, url.pathname);
+        const raw = await readBody(req, bodyLimitBytes);
+
+        if (!handler) {
+            return sendStatus(res, 404);
+        }
+        if (raw === undefined) {
+            return sendStatus(res, 413);
+        }
+
+        let body;
+        try {
+            body = parseBody(raw, req.headers['content-type']);
+        } catch (error) {
+            return sendStatus(res, 400);
+        }
+
+        return handler(req, res, { id, body, query: url.searchParams });
+    };
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(() => {
+            if (!res.headersSent) sendStatus(res, 500);
+            else res.end();
+        });
+    });
+
+    server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    return {
+        server,
+        store,
+        tokens,
+        url: undefined,
+
+        listen(port = 0, host = '127.0.0.1') {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    server.removeListener('error', reject);
+                    this.url = `http://${host}:${server.address().port}`;
+                    resolve(this.url);
+                });
+            });
+        },
+
+        close() {
+            sockets.forEach(socket => socket.destroy());
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+};
+
+const startEmulator = async (options = {}) => {
+    const { port, host, ...emulatorOptions } = options;
+    const emulator = createEmulator(emulatorOptions);
+    await emulator.listen(port, host);
+    return emulator;
+};
+
+module.exports = {
+    createEmulator,
+    startEmulator
+};
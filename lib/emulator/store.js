@@ -0,0 +1,77 @@
+const { pickBooking } = require('./validation');
+
+const SEED_BOOKINGS = [
+    ['Sally', 'Brown', 111, true, '2018-01-01', '2019-01-01', 'Breakfast'],
+    ['Jim', 'Wilson', 264, false, '2019-03-14', '2019-03-21', 'Lunch'],
+    ['Mark', 'Jones', 580, true, '2020-06-01', '2020-06-08', undefined],
+    ['Eric', 'Ericsson', 432, true, '2021-11-20', '2021-11-23', 'Late checkout'],
+    ['Susan', 'Smith', 170, false, '2022-02-10', '2022-02-12', 'Breakfast'],
+    ['Mary', 'Jackson', 902, true, '2022-07-04', '2022-07-18', undefined],
+    ['Josh', 'Allen', 315, false, '2023-05-05', '2023-05-06', 'Dinner'],
+    ['Jane', 'Ericsson', 228, true, '2023-09-09', '2023-09-12', undefined],
+    ['Sally', 'Jackson', 747, true, '2024-01-15', '2024-01-20', 'Breakfast'],
+    ['Mark', 'Wilson', 125, false, '2024-04-01', '2024-04-03', undefined]
+].map(([firstname, lastname, totalprice, depositpaid, checkin, checkout, additionalneeds]) =>
+    pickBooking({
+        firstname,
+        lastname,
+        totalprice,
+        depositpaid,
+        bookingdates: { checkin, checkout },
+        additionalneeds
+    })
+);
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+// In-memory booking table. Ids are never reused, mirroring the real API.
+class BookingStore {
+    constructor({ seed = SEED_BOOKINGS } = {}) {
+        this.bookings = new Map();
+        this.nextId = 1;
+        seed.forEach(booking => this.create(booking));
+    }
+
+    create(booking) {
+        const id = this.nextId++;
+        this.bookings.set(id, clone(booking));
+        return id;
+    }
+
+    get(id) {
+        const booking = this.bookings.get(id);
+        return booking ? clone(booking) : undefined;
+    }
+
+    has(id) {
+        return this.bookings.has(id);
+    }
+
+    replace(id, booking) {
+        this.bookings.set(id, clone(booking));
+        return this.get(id);
+    }
+
+    delete(id) {
+        return this.bookings.delete(id);
+    }
+
+    // firstname/lastname match exactly; checkin and checkout return bookings
+    // on or after the given date, as documented by Restful-Booker.
+    findIds(filters = {}) {
+        const ids = [];
+        this.bookings.forEach((booking, id) => {
+            if (filters.firstname !== undefined && booking.firstname !== filters.firstname) return;
+            if (filters.lastname !== undefined && booking.lastname !== filters.lastname) return;
+            if (filters.checkin !== undefined && booking.bookingdates.checkin < filters.checkin) return;
+            if (filters.checkout !== undefined && booking.bookingdates.checkout < filters.checkout) return;
+            ids.push(id);
+        });
+        return ids;
+    }
+}
+
+module.exports = {
+    BookingStore,
+    SEED_BOOKINGS
+};
@@ -0,0 +1,85 @@
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (value) => {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const FIELD_CHECKS = {
+    firstname: value => typeof value === 'string',
+    lastname: value => typeof value === 'string',
+    totalprice: value => typeof value === 'number' && Number.isFinite(value),
+    depositpaid: value => typeof value === 'boolean',
+    additionalneeds: value => typeof value === 'string'
+};
+
+const REQUIRED_FIELDS = ['firstname', 'lastname', 'totalprice', 'depositpaid', 'bookingdates'];
+
+const isPlainObject = value =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Returns a list of problems with a booking payload. With `partial` set,
+// only the fields that are present are checked (PATCH semantics).
+const validateBooking = (payload, { partial = false } = {}) => {
+    if (!isPlainObject(payload)) {
+        return ['booking must be an object'];
+    }
+
+    const errors = [];
+
+    if (!partial) {
+        REQUIRED_FIELDS
+            .filter(field => payload[field] === undefined)
+            .forEach(field => errors.push(`${field} is required`));
+    }
+
+    Object.keys(FIELD_CHECKS).forEach(field => {
+        if (payload[field] !== undefined && !FIELD_CHECKS[field](payload[field])) {
+            errors.push(`${field} has the wrong type`);
+        }
+    });
+
+    if (payload.bookingdates !== undefined) {
+        if (!isPlainObject(payload.bookingdates)) {
+            errors.push('bookingdates must be an object');
+        } else {
+            ['checkin', 'checkout'].forEach(field => {
+                const value = payload.bookingdates[field];
+                if (value === undefined) {
+                    if (!partial) errors.push(`bookingdates.${field} is required`);
+                } else if (!isValidDate(value)) {
+                    errors.push(`bookingdates.${field} must be a CCYY-MM-DD date`);
+                }
+            });
+        }
+    }
+
+    return errors;
+};
+
+// Copies only the known booking fields, in the order the real API returns them.
+const pickBooking = (payload) => {
+    const booking = {
+        firstname: payload.firstname,
+        lastname: payload.lastname,
+        totalprice: payload.totalprice,
+        depositpaid: payload.depositpaid,
+        bookingdates: {
+            checkin: payload.bookingdates.checkin,
+            checkout: payload.bookingdates.checkout
+        }
+    };
+    if (payload.additionalneeds !== undefined) {
+        booking.additionalneeds = payload.additionalneeds;
+    }
+    return booking;
+};
+
+module.exports = {
+    isValidDate,
+    validateBooking,
+    pickBooking
+};
@@ -0,0 +1,146 @@
+const { activeCassette } = require('./cassette');
+const { tagName } = require('./cleanup');
+
+const FIRST_NAMES = ["John", "Jane", "Sally", "Jim", "Mark", "Mary", "Eric", "Susan", "Josh", "Amara"];
+const LAST_NAMES = ["Doe", "Smith", "Brown", "Wilson", "Jones", "Jackson", "Ericsson", "Allen", "Okafor", "Nguyen"];
+const ADDITIONAL_NEEDS = ["Breakfast", "Lunch", "Dinner", "Late checkout", "Extra pillows"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BASE_DATE = Date.UTC(2024, 0, 1);
+
+const formatDate = time => new Date(time).toISOString().slice(0, 10);
+
+// Small, fast, seedable PRNG (mulberry32); plenty for test data.
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        next,
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        pick: items => items[Math.floor(next() * items.length)],
+        bool: () => next() < 0.5
+    };
+};
+
+const resolveSeed = (seed = process.env.BOOKER_SEED) => {
+    if (seed !== undefined && seed !== '') {
+        const parsed = Number(seed);
+        if (!Number.isInteger(parsed)) {
+            throw new Error(`BOOKER_SEED must be an integer, got "${seed}"`);
+        }
+        return parsed >>> 0;
+    }
+    return Math.floor(Math.random() * 2 ** 31);
+};
+
+// Seeds used by the current test file, reported by jest.environment.js on failure.
+const registerSeed = (seed) => {
+    globalThis.__BOOKER_SEEDS__ = globalThis.__BOOKER_SEEDS__ || [];
+    if (!globalThis.__BOOKER_SEEDS__.includes(seed)) {
+        globalThis.__BOOKER_SEEDS__.push(seed);
+    }
+};
+
+const omit = (object, key) => {
+    const copy = { ...object };
+    delete copy[key];
+    return copy;
+};
+
+/**
+ * Creates a reproducible booking generator. The same seed always yields the
+ * same sequence of bookings; set BOOKER_SEED to replay a failing run.
+ */
+const createBookingFactory = ({ seed } = {}) => {
+    // Replays must generate the bookings that were recorded.
+    const cassette = activeCassette();
+    const recordedSeed = seed === undefined && cassette ? cassette.nextSeed() : undefined;
+    const resolvedSeed = resolveSeed(recordedSeed !== undefined ? recordedSeed : seed);
+    const random = createRandom(resolvedSeed);
+    registerSeed(resolvedSeed);
+
+    const stay = (nights, startOffset = random.int(0, 365)) => {
+        const checkin = BASE_DATE + startOffset * DAY_MS;
+        return {
+            checkin: formatDate(checkin),
+            checkout: formatDate(checkin + nights * DAY_MS)
+        };
+    };
+
+    const valid = (overrides = {}) => {
+        const booking = {
+            firstname: random.pick(FIRST_NAMES),
+            lastname: tagName(random.pick(LAST_NAMES)),
+            totalprice: random.int(1, 1000),
+            depositpaid: random.bool(),
+            bookingdates: stay(random.int(1, 14))
+        };
+        if (random.bool()) {
+            booking.additionalneeds = random.pick(ADDITIONAL_NEEDS);
+        }
+        return { ...booking, ...overrides };
+    };
+
+    // Unusual but legal bookings the API must accept and store verbatim.
+    // Restful-Booker does not check that checkout follows checkin.
+    const edgeCases = () => {
+        const base = valid();
+        return [
+            { name: 'zero price', booking: { ...base, totalprice: 0 } },
+            { name: 'huge price', booking: { ...base, totalprice: Number.MAX_SAFE_INTEGER } },
+            { name: 'same-day checkout', booking: { ...base, bookingdates: stay(0) } },
+            { name: 'multi-week stay', booking: { ...base, bookingdates: stay(random.int(15, 42)) } },
+            { name: 'leap-day checkin', booking: { ...base, bookingdates: { checkin: "2024-02-29", checkout: "2024-03-01" } } },
+            { name: 'reversed dates', booking: { ...base, bookingdates: { checkin: "2024-03-10", checkout: "2024-03-01" } } },
+            // Lastnames keep the cleanup tag so `npm run purge` finds leftovers.
+            { name: 'unicode names', booking: { ...base, firstname: "Zoë-Chloé", lastname: tagName("Łukasiewicz 李小龍") } },
+            { name: 'long names', booking: { ...base, firstname: "A".repeat(255), lastname: tagName("B".repeat(255)) } },
+            { name: 'single-character firstname', booking: { ...base, firstname: "J" } },
+            { name: 'missing additionalneeds', booking: omit(base, 'additionalneeds') }
+        ];
+    };
+
+    // Payloads the API must refuse to store. XML and form bodies carry no
+    // types, so the wrong-type cases only apply to JSON. A non-existent day
+    // breaks the spec's `format: date`, so the emulator rejects it too.
+    const invalidCases = (format = 'json') => {
+        const base = valid({ additionalneeds: "Breakfast" });
+        const cases = [
+            ...['firstname', 'lastname', 'totalprice', 'depositpaid', 'bookingdates'].map(field => ({
+                name: `missing ${field}`,
+                booking: omit(base, field)
+            })),
+            { name: 'missing checkin', booking: { ...base, bookingdates: omit(base.bookingdates, 'checkin') } },
+            { name: 'string totalprice', booking: { ...base, totalprice: String(base.totalprice) }, typed: true },
+            { name: 'string depositpaid', booking: { ...base, depositpaid: "true" }, typed: true },
+            { name: 'numeric firstname', booking: { ...base, firstname: 12345 }, typed: true },
+            { name: 'bookingdates as string', booking: { ...base, bookingdates: "2024-01-01/2024-01-02" } },
+            { name: 'non-existent date', booking: { ...base, bookingdates: { checkin: "2023-02-29", checkout: "2023-03-02" } } }
+        ];
+        return cases
+            .filter(({ typed }) => format === 'json' || !typed)
+            .map(({ name, booking }) => ({ name, booking }));
+    };
+
+    return {
+        seed: resolvedSeed,
+        random,
+        valid,
+        edgeCases,
+        invalidCases
+    };
+};
+
+module.exports = {
+    createBookingFactory,
+    createRandom,
+    registerSeed,
+    resolveSeed
+};
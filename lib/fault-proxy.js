@@ -0,0 +1,171 @@
+const http = require('http');
+const https = require('https');
+const { loadConfig } = require('./config');
+const { endpointOf } = require('./metrics');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const readBody = req => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+// "GET /booking/:id" matches that endpoint, "* /booking" any method on it
+// and "*" (or no route) every request.
+const matchesRoute = (route, method, url) => {
+    if (!route || route === '*') {
+        return true;
+    }
+    const [ruleMethod, rulePath] = route.split(' ');
+    const [requestMethod, requestPath] = endpointOf(method, url).split(' ');
+    return (ruleMethod === '*' || ruleMethod.toUpperCase() === requestMethod) && rulePath === requestPath;
+};
+
+// Keeps the JSON shape recognisable but unparseable.
+const corruptJson = body => Buffer.concat([body.subarray(0, Math.max(0, body.length - 1)), Buffer.from('<!--')]);
+
+/**
+ * Programmable HTTP proxy for error-recovery tests. Requests are forwarded to
+ * `target` unless an injected rule matches them; rules apply in the order
+ * they were added and can combine:
+ *
+ *   latencyMs    delay before forwarding
+ *   status       answer with this status instead of forwarding
+ *   reset        reset the connection (ECONNRESET)
+ *   drop         accept the request and never answer
+ *   truncateAt   forward, but cut the body after this many bytes
+ *   corruptJson  forward, but make the JSON body unparseable
+ *
+ * `times` limits how many requests a rule affects (unlimited by default).
+ */
+const createFaultProxy = ({ target }) => {
+    const targetUrl = new URL(target);
+    const transport = targetUrl.protocol === 'https:' ? https : http;
+    const rules = [];
+    const sockets = new Set();
+
+    const takeRule = (method, url) => {
+        const rule = rules.find(candidate => candidate.remaining > 0 && matchesRoute(candidate.route, method, url));
+        if (rule) {
+            rule.remaining -= 1;
+            rule.hits += 1;
+        }
+        return rule;
+    };
+
+    const forward = (req, body) => new Promise((resolve, reject) => {
+        const basePath = targetUrl.pathname.replace(/\/$/, '');
+        const upstream = transport.request({
+            protocol: targetUrl.protocol,
+            hostname: targetUrl.hostname,
+            port: targetUrl.port,
+            method: req.method,
+            path: `${basePath}${req.url}`,
+            headers: { ...req.headers, host: targetUrl.host }
+        }, (res) => {
+            readBody(res).then(resBody => resolve({ status: res.statusCode, headers: res.headers, body: resBody }), reject);
+        });
+        upstream.on('error', reject);
+        upstream.end(body);
+    });
+
+    const handle = async (req, res) => {
+        const body = await readBody(req);
+        const fault = takeRule(req.method, req.url) || {};
+
+        if (fault.latencyMs) {
+            await sleep(fault.latencyMs);
+        }
+        if (fault.reset) {
+            // Clients see a socket closed before the response as ECONNRESET.
+            return req.socket.destroy();
+        }
+        if (fault.drop) {
+            return undefined;
+        }
+        if (fault.status) {
+            res.writeHead(fault.status, { 'Content-Type': 'text/plain; charset=utf-8' });
+            return res.end(http.STATUS_CODES[fault.status]);
+        }
+
+        const upstream = await forward(req, body);
+        const headers = { ...upstream.headers };
+        delete headers['transfer-encoding'];
+        let responseBody = upstream.body;
+
+        if (fault.corruptJson) {
+            responseBody = corruptJson(responseBody);
+        }
+        headers['content-length'] = String(responseBody.length);
+        res.writeHead(upstream.status, headers);
+
+        if (fault.truncateAt !== undefined) {
+            // Content-Length promises the full body, so the client sees the
+            // connection close mid-body.
+            return res.write(responseBody.subarray(0, fault.truncateAt), () => res.socket.destroy());
+        }
+        return res.end(responseBody);
+    };
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(() => {
+            if (!res.headersSent) {
+                res.writeHead(502, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end(http.STATUS_CODES[502]);
+            } else {
+                res.destroy();
+            }
+        });
+    });
+
+    server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    return {
+        server,
+        url: undefined,
+
+        /** Adds a fault rule and returns it; `rule.hits` counts the requests it affected. */
+        inject({ route, times = Infinity, ...fault }) {
+            const rule = { route, remaining: times, hits: 0, ...fault };
+            rules.push(rule);
+            return rule;
+        },
+
+        clear() {
+            rules.length = 0;
+        },
+
+        listen(port = 0, host = '127.0.0.1') {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    server.removeListener('error', reject);
+                    this.url = `http://${host}:${server.address().port}`;
+                    resolve(this.url);
+                });
+            });
+        },
+
+        close() {
+            sockets.forEach(socket => socket.destroy());
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+};
+
+const startFaultProxy = async (options = {}) => {
+    const { port, host, target = loadConfig().baseUrl } = options;
+    const proxy = createFaultProxy({ target });
+    await proxy.listen(port, host);
+    return proxy;
+};
+
+module.exports = {
+    createFaultProxy,
+    startFaultProxy
+};
@@ -0,0 +1,187 @@
+// Request and response formats Restful-Booker supports for bookings: JSON,
+// XML, and form-urlencoded request bodies (answered in JSON).
+const FORMATS = {
+    json: { contentType: 'application/json', accept: 'application/json' },
+    xml: { contentType: 'text/xml', accept: 'application/xml' },
+    form: { contentType: 'application/x-www-form-urlencoded', accept: 'application/json' }
+};
+
+const XML_DECLARATION = "<?xml version='1.0'?>";
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Names that would reach Object.prototype when used as keys while decoding.
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const checkKey = (key) => {
+    if (FORBIDDEN_KEYS.includes(key)) {
+        throw new Error(`Forbidden key "${key}"`);
+    }
+    return key;
+};
+
+const formatFromEnv = () => {
+    const format = process.env.BOOKER_FORMAT || 'json';
+    if (!FORMATS[format]) {
+        throw new Error(`Unknown BOOKER_FORMAT "${format}", expected one of ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return format;
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// XML and form values are all strings; give the booking fields their JSON
+// types back so every format yields the same booking object.
+const COERCIONS = {
+    bookingid: value => (/^\d+$/.test(value) ? Number(value) : value),
+    totalprice: value => (/^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value),
+    depositpaid: value => (value === 'true' || value === 'false' ? value === 'true' : value)
+};
+
+const coerceBooking = (value) => {
+    if (!isPlainObject(value)) {
+        return value;
+    }
+    return Object.keys(value).reduce((coerced, key) => {
+        const field = value[key];
+        coerced[key] = COERCIONS[key] && typeof field === 'string' ? COERCIONS[key](field) : coerceBooking(field);
+        return coerced;
+    }, {});
+};
+
+const escapeXml = value => String(value).replace(/[<>&"']/g, char =>
+    `&${Object.keys(ENTITIES).find(name => ENTITIES[name] === char)};`);
+
+const decodeXml = text => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+        return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+    }
+    if (ENTITIES[name] === undefined) {
+        throw new Error(`Unknown XML entity ${entity}`);
+    }
+    return ENTITIES[name];
+});
+
+const toXml = (name, value) => {
+    if (isPlainObject(value)) {
+        const children = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .map(key => toXml(key, value[key]))
+            .join('');
+        return `<${name}>${children}</${name}>`;
+    }
+    return `<${name}>${escapeXml(value)}</${name}>`;
+};
+
+/**
+ * Parses the element-only XML Restful-Booker speaks into
+ * `{ [rootName]: value }`: elements with children become objects (repeated
+ * names arrays), leaves their text. Attributes are ignored. Throws on
+ * malformed documents, DTDs and element names in FORBIDDEN_KEYS.
+ */
+const parseXml = (text) => {
+    const body = text
+        .replace(/^\uFEFF/, '')
+        .replace(/<\?[\s\S]*?\?>/g, '')
+        .replace(/<!--[\s\S]*?-->/g, '');
+    const root = { name: undefined, children: {} };
+    const stack = [root];
+    const tokens = /<(\/?)([A-Za-z_][\w.:-]*)[^>]*?(\/?)>|([^<]+)|(<)/g;
+
+    const close = (element) => {
+        const parent = stack[stack.length - 1];
+        const value = Object.keys(element.children).length > 0 ? element.children : decodeXml(element.text.trim());
+        if (parent.children[element.name] === undefined) {
+            parent.children[element.name] = value;
+        } else {
+            parent.children[element.name] = [].concat(parent.children[element.name], [value]);
+        }
+    };
+
+    for (let match = tokens.exec(body); match; match = tokens.exec(body)) {
+        const [, closing, name, selfClosing, textNode, stray] = match;
+        const current = stack[stack.length - 1];
+        if (stray) {
+            throw new Error(`Malformed XML near "${body.slice(match.index, match.index + 20)}"`);
+        }
+        if (textNode !== undefined) {
+            if (current === root && textNode.trim()) {
+                throw new Error('Malformed XML: text outside the root element');
+            }
+            current.text += textNode;
+        } else if (closing) {
+            if (current.name !== name) {
+                throw new Error(`Malformed XML: </${name}> closes <${current.name}>`);
+            }
+            close(stack.pop());
+        } else if (selfClosing) {
+            close({ name: checkKey(name), children: {}, text: '' });
+        } else {
+            stack.push({ name: checkKey(name), children: {}, text: '' });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+    }
+    if (Object.keys(root.children).length !== 1) {
+        throw new Error('Malformed XML: expected exactly one root element');
+    }
+    return root.children;
+};
+
+// Nested objects use bracket keys: bookingdates[checkin]=2024-01-01.
+const toForm = (value, prefix) => Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .flatMap((key) => {
+        const name = prefix ? `${prefix}[${key}]` : key;
+        return isPlainObject(value[key])
+            ? [toForm(value[key], name)]
+            : [`${encodeURIComponent(name)}=${encodeURIComponent(value[key])}`];
+    })
+    .join('&');
+
+const parseForm = text => [...new URLSearchParams(text)].reduce((parsed, [key, value]) => {
+    const keys = key.split(/\[|\]\[|\]$/).filter(Boolean).map(checkKey);
+    const last = keys.pop();
+    keys.reduce((node, name) => {
+        if (!isPlainObject(node[name])) node[name] = {};
+        return node[name];
+    }, parsed)[last] = value;
+    return parsed;
+}, {});
+
+/** Encodes a body object for `format`; strings are sent as they are. */
+const serializeBody = (body, format) => {
+    if (typeof body !== 'object' || body === null || format === 'json') {
+        return body;
+    }
+    return format === 'xml' ? toXml('booking', body) : toForm(body);
+};
+
+/** Decodes a request or response body by content type into a booking-shaped value. */
+const parseBody = (text, contentType = '') => {
+    if (/xml/i.test(contentType)) {
+        const [value] = Object.values(parseXml(text));
+        // An empty root element is an empty object, e.g. a no-op PATCH.
+        return coerceBooking(value === '' ? {} : value);
+    }
+    if (/x-www-form-urlencoded/i.test(contentType)) {
+        return coerceBooking(parseForm(text));
+    }
+    return text.length === 0 ? undefined : JSON.parse(text);
+};
+
+module.exports = {
+    FORBIDDEN_KEYS,
+    FORMATS,
+    XML_DECLARATION,
+    coerceBooking,
+    formatFromEnv,
+    parseBody,
+    parseForm,
+    parseXml,
+    serializeBody,
+    toForm,
+    toXml
+};
@@ -0,0 +1,241 @@
+const { BookerClient } = require('../client');
+const { createBookingFactory, createRandom } = require('../factory');
+const { formatLatencyTable, summarize } = require('../metrics');
+
+const EXPECTED_STATUS = {
+    auth: [200],
+    list: [200],
+    create: [200],
+    get: [200, 404],
+    update: [200],
+    patch: [200],
+    delete: [201]
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const pickWeighted = (random, mix) => {
+    const entries = Object.keys(mix).filter(operation => mix[operation] > 0);
+    const total = entries.reduce((sum, operation) => sum + mix[operation], 0);
+    let roll = random.next() * total;
+    for (const operation of entries) {
+        roll -= mix[operation];
+        if (roll < 0) return operation;
+    }
+    return entries[entries.length - 1];
+};
+
+// Iterations that should have started `elapsed` seconds in, for an arrival
+// rate ramping linearly from 0 to `rate` over `rampUp` seconds.
+const expectedArrivals = (elapsed, rate, rampUp) => {
+    if (rampUp > 0 && elapsed < rampUp) {
+        return (rate * elapsed * elapsed) / (2 * rampUp);
+    }
+    return (rate * rampUp) / 2 + rate * (elapsed - rampUp);
+};
+
+/**
+ * Runs a normalised scenario (see scenario.js) and resolves to its report.
+ * Bookings created by the run are deleted before it resolves.
+ */
+const runScenario = async (scenario, { baseUrl, onInterval = () => {} } = {}) => {
+    const factory = createBookingFactory({ seed: scenario.seed });
+    const random = createRandom(factory.seed);
+    // Retrying or backing off would hide exactly what a load test measures.
+    // The run keeps its own samples; logging every request to the traffic log
+    // and the spec checks would grow without bound and count as API coverage.
+    const client = new BookerClient({
+        baseUrl,
+        registry: null,
+        timings: null,
+        traffic: null,
+        conformance: null,
+        timeoutMs: scenario.timeoutMs,
+        rateLimit: null,
+        retry: null
+    });
+    const bookings = [];
+    const samples = [];
+    let windowSamples = [];
+    const intervals = [];
+    const startedAt = Date.now();
+    const totalMs = (scenario.rampUpSeconds + scenario.durationSeconds) * 1000;
+    const endAt = startedAt + totalMs;
+    let inFlight = 0;
+    let dropped = 0;
+
+    const randomBooking = () => bookings[Math.floor(random.next() * bookings.length)];
+
+    const operations = {
+        auth: () => client.auth(),
+        list: () => client.listBookings(),
+        create: async () => {
+            const result = await client.createBooking(factory.valid());
+            if (result.status === 200) bookings.push(result.body.bookingid);
+            return result;
+        },
+        get: () => (bookings.length ? client.getBooking(randomBooking()) : client.listBookings()),
+        update: () => (bookings.length
+            ? client.updateBooking(randomBooking(), factory.valid(), { auth: 'basic' })
+            : client.listBookings()),
+        patch: () => (bookings.length
+            ? client.patchBooking(randomBooking(), { totalprice: random.int(1, 1000) }, { auth: 'basic' })
+            : client.listBookings()),
+        delete: () => {
+            if (!bookings.length) return client.listBookings();
+            const [id] = bookings.splice(Math.floor(random.next() * bookings.length), 1);
+            return client.deleteBooking(id, { auth: 'basic' });
+        }
+    };
+
+    const iterate = async () => {
+        const operation = pickWeighted(random, scenario.mix);
+        const start = process.hrtime.bigint();
+        const sample = { operation };
+        inFlight += 1;
+        try {
+            const { status } = await operations[operation]();
+            sample.status = status;
+            // Operations fall back to a list (200) when there is no booking to act on.
+            if (status !== 200 && !EXPECTED_STATUS[operation].includes(status)) {
+                sample.error = `HTTP ${status}`;
+            }
+        } catch (error) {
+            sample.error = error.code || error.message;
+        } finally {
+            inFlight -= 1;
+        }
+        sample.durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+        samples.push(sample);
+        windowSamples.push(sample);
+    };
+
+    let intervalStart = 0;
+    const closeInterval = () => {
+        const now = Date.now() - startedAt;
+        const stats = summarize(windowSamples);
+        const interval = {
+            fromSeconds: intervalStart / 1000,
+            toSeconds: now / 1000,
+            requests: windowSamples.length,
+            throughput: windowSamples.length / Math.max((now - intervalStart) / 1000, 0.001),
+            p50: stats.p50,
+            p95: stats.p95,
+            errors: windowSamples.filter(sample => sample.error).length,
+            inFlight
+        };
+        intervals.push(interval);
+        onInterval(interval);
+        intervalStart = now;
+        windowSamples = [];
+    };
+    const ticker = setInterval(closeInterval, scenario.reportIntervalSeconds * 1000);
+
+    try {
+        if (scenario.model === 'closed') {
+            const rampStep = scenario.virtualUsers > 1
+                ? (scenario.rampUpSeconds * 1000) / (scenario.virtualUsers - 1)
+                : 0;
+            await Promise.all(Array(scenario.virtualUsers).fill().map(async (_, index) => {
+                await sleep(index * rampStep);
+                while (Date.now() < endAt) {
+                    await iterate();
+                    if (scenario.thinkTimeMs > 0) await sleep(scenario.thinkTimeMs);
+                }
+            }));
+        } else {
+            const running = new Set();
+            let launched = 0;
+            while (Date.now() < endAt) {
+                const elapsed = (Date.now() - startedAt) / 1000;
+                const due = Math.floor(expectedArrivals(elapsed, scenario.arrivalRate, scenario.rampUpSeconds));
+                for (; launched < due; launched++) {
+                    if (running.size >= scenario.maxConcurrency) {
+                        dropped += 1;
+                        continue;
+                    }
+                    const iteration = iterate().then(() => running.delete(iteration));
+                    running.add(iteration);
+                }
+                await sleep(5);
+            }
+            await Promise.all(running);
+        }
+    } finally {
+        clearInterval(ticker);
+    }
+    // The last window is usually partial; drop it only when empty.
+    if (windowSamples.length > 0) {
+        closeInterval();
+    }
+
+    const elapsedSeconds = (Date.now() - startedAt) / 1000;
+
+    // Leave the target as we found it.
+    const leftovers = bookings.splice(0);
+    await Promise.all(leftovers.map(id => client.deleteBooking(id, { auth: 'basic' }).catch(() => undefined)));
+
+    const byOperation = samples.reduce((groups, sample) => {
+        (groups[sample.operation] = groups[sample.operation] || []).push(sample);
+        return groups;
+    }, {});
+
+    const errorBreakdown = samples
+        .filter(sample => sample.error)
+        .reduce((breakdown, { operation, error }) => {
+            const key = `${operation}: ${error}`;
+            breakdown[key] = (breakdown[key] || 0) + 1;
+            return breakdown;
+        }, {});
+
+    return {
+        scenario,
+        baseUrl: client.baseUrl,
+        seed: factory.seed,
+        elapsedSeconds,
+        requests: samples.length,
+        throughput: samples.length / elapsedSeconds,
+        dropped,
+        overall: summarize(samples),
+        operations: Object.keys(byOperation).sort().reduce((stats, operation) => {
+            stats[operation] = summarize(byOperation[operation]);
+            return stats;
+        }, {}),
+        errors: errorBreakdown,
+        intervals,
+        cleanedUp: leftovers.length
+    };
+};
+
+const fixed = (value, digits = 1) => (value === undefined ? '-' : Number(value).toFixed(digits));
+
+const formatInterval = interval =>
+    `${`${fixed(interval.fromSeconds)}s-${fixed(interval.toSeconds)}s`.padStart(14)} ` +
+    `${String(interval.requests).padStart(6)} req ${fixed(interval.throughput).padStart(7)} req/s ` +
+    `p50 ${fixed(interval.p50).padStart(7)}ms  p95 ${fixed(interval.p95).padStart(7)}ms  ` +
+    `errors ${interval.errors}  in-flight ${interval.inFlight}`;
+
+const formatReport = (report) => {
+    const lines = [
+        `Scenario "${report.scenario.name}" against ${report.baseUrl} (seed ${report.seed})`,
+        `  ${report.requests} requests in ${fixed(report.elapsedSeconds)}s: ${fixed(report.throughput)} req/s, ` +
+        `error rate ${fixed(report.overall.errorRate * 100)}%` +
+        (report.dropped ? `, ${report.dropped} arrivals dropped at maxConcurrency` : ''),
+        '',
+        formatLatencyTable(report.operations)
+    ];
+    const errors = Object.keys(report.errors);
+    if (errors.length > 0) {
+        lines.push('', 'Errors:');
+        errors.sort().forEach(key => lines.push(`  ${key}  x${report.errors[key]}`));
+    }
+    return lines.join('\n');
+};
+
+module.exports = {
+    expectedArrivals,
+    formatInterval,
+    formatReport,
+    pickWeighted,
+    runScenario
+};
@@ -0,0 +1,71 @@
+const fs = require('fs');
+
+const OPERATIONS = ['auth', 'list', 'create', 'get', 'update', 'patch', 'delete'];
+
+const DEFAULTS = {
+    model: 'closed',
+    virtualUsers: 5,
+    arrivalRate: 10,
+    maxConcurrency: 50,
+    rampUpSeconds: 0,
+    durationSeconds: 30,
+    thinkTimeMs: 0,
+    reportIntervalSeconds: 5,
+    timeoutMs: 10000,
+    seed: undefined,
+    mix: { list: 1, get: 1 }
+};
+
+const isNonNegative = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validates a declarative load scenario and fills in defaults. Throws with
+ * every problem listed so a broken scenario file is fixed in one pass.
+ */
+const normalizeScenario = (input) => {
+    const scenario = { ...DEFAULTS, ...input, mix: { ...(input.mix || DEFAULTS.mix) } };
+    const errors = [];
+
+    if (!scenario.name || typeof scenario.name !== 'string') {
+        errors.push('name is required');
+    }
+    if (!['closed', 'open'].includes(scenario.model)) {
+        errors.push('model must be "closed" (virtual users) or "open" (arrival rate)');
+    }
+    if (scenario.model === 'closed' && !(Number.isInteger(scenario.virtualUsers) && scenario.virtualUsers > 0)) {
+        errors.push('virtualUsers must be a positive integer');
+    }
+    if (scenario.model === 'open' && !(scenario.arrivalRate > 0)) {
+        errors.push('arrivalRate must be a positive number of iterations per second');
+    }
+    ['rampUpSeconds', 'durationSeconds', 'thinkTimeMs', 'maxConcurrency', 'timeoutMs'].forEach((field) => {
+        if (!isNonNegative(scenario[field])) errors.push(`${field} must be a non-negative number`);
+    });
+    if (!(scenario.reportIntervalSeconds > 0)) {
+        errors.push('reportIntervalSeconds must be positive');
+    }
+
+    const operations = Object.keys(scenario.mix);
+    operations
+        .filter(operation => !OPERATIONS.includes(operation))
+        .forEach(operation => errors.push(`mix has unknown operation "${operation}" (known: ${OPERATIONS.join(', ')})`));
+    operations
+        .filter(operation => !isNonNegative(scenario.mix[operation]))
+        .forEach(operation => errors.push(`mix weight for "${operation}" must be a non-negative number`));
+    if (operations.reduce((sum, operation) => sum + (scenario.mix[operation] || 0), 0) <= 0) {
+        errors.push('mix must give at least one operation a positive weight');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid load scenario${scenario.name ? ` "${scenario.name}"` : ''}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return scenario;
+};
+
+const loadScenario = file => normalizeScenario(JSON.parse(fs.readFileSync(file, 'utf8')));
+
+module.exports = {
+    OPERATIONS,
+    loadScenario,
+    normalizeScenario
+};
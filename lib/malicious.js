@@ -0,0 +1,73 @@
+// Catalogue of hostile inputs for the security suite. Strings are meant to
+// be stored verbatim and returned unchanged; everything else should be
+// rejected.
+
+// Matches Node/V8 stack frames and error names leaking into a response body.
+const STACK_TRACE_PATTERN = /(\n\s+at [^\n]+:\d+:\d+)|(\b(TypeError|ReferenceError|SyntaxError|RangeError): )|(node_modules\/)/;
+
+const INJECTION_STRINGS = [
+    ['SQL tautology', "' OR '1'='1' --"],
+    ['SQL stacked query', "Robert'); DROP TABLE bookings;--"],
+    ['SQL union', "x' UNION SELECT username, password FROM users--"],
+    ['NoSQL operator text', '{"$ne": null}'],
+    ['NoSQL where clause', "'; return true; var x='"],
+    ['script tag', '<script>alert(document.cookie)</script>'],
+    ['image onerror', '<img src=x onerror=alert(1)>'],
+    ['javascript URL', 'javascript:alert(1)'],
+    ['template expression', '{{7*7}}${7*7}<%= 7*7 %>'],
+    ['CRLF', 'Smith\r\nSet-Cookie: token=stolen'],
+    ['null byte', 'Smith\u0000admin'],
+    ['path traversal text', '../../../../etc/passwd'],
+    ['shell substitution', '$(cat /etc/passwd)`id`'],
+    ['format specifiers', '%s%s%s%n%x']
+];
+
+// Values that only mean something to a query engine that trusts JSON
+// structure; as booking fields or credentials they are the wrong type.
+const OPERATOR_VALUES = [
+    ['$ne', { $ne: null }],
+    ['$gt', { $gt: '' }],
+    ['$regex', { $regex: '.*' }],
+    ['$where', { $where: 'sleep(1000)' }],
+    ['$in', { $in: ['admin'] }]
+];
+
+// Raw JSON text: an object literal with `__proto__` would set the prototype
+// of the test's own object instead of sending the key.
+const POLLUTION_BODIES = [
+    ['__proto__', booking => `{"__proto__": {"polluted": "yes", "isAdmin": true}, ${booking.slice(1)}`],
+    ['constructor.prototype', booking => `{"constructor": {"prototype": {"polluted": "yes"}}, ${booking.slice(1)}`],
+    ['nested __proto__', booking => booking.replace('"bookingdates":{', '"bookingdates":{"__proto__":{"polluted":"yes"},')]
+];
+
+// Booking ids that should never resolve to a booking or reach outside /booking.
+const TRAVERSAL_IDS = [
+    '..%2f..%2f..%2fetc%2fpasswd',
+    '%2e%2e%2f%2e%2e%2fetc%2fpasswd',
+    '..%5c..%5cwindows%5cwin.ini',
+    '1%2f..%2f2',
+    '1%00',
+    '1;DROP%20TABLE%20bookings',
+    '1%20OR%201=1',
+    '-1',
+    '1e3',
+    '0x1',
+    '%7B%22%24ne%22%3Anull%7D',
+    '1%0d%0aSet-Cookie:%20token=stolen'
+];
+
+/** JSON text nesting `depth` objects inside `field`. */
+const nestedJson = (field, depth) => `{"${field}":${'{"a":'.repeat(depth)}1${'}'.repeat(depth)}}`;
+
+/** XML booking nesting `depth` elements inside `field`. */
+const nestedXml = (field, depth) => `<booking><${field}>${'<a>'.repeat(depth)}1${'</a>'.repeat(depth)}</${field}></booking>`;
+
+module.exports = {
+    INJECTION_STRINGS,
+    OPERATOR_VALUES,
+    POLLUTION_BODIES,
+    STACK_TRACE_PATTERN,
+    TRAVERSAL_IDS,
+    nestedJson,
+    nestedXml
+};
@@ -0,0 +1,71 @@
+const { validateContract } = require('./contracts');
+const { compareToBaseline, formatComparison } = require('./baseline');
+const { parseBody } = require('./formats');
+
+// Accepts a BookerClient result, a raw supertest response or a plain body.
+const bodyOf = (received) => {
+    if (received && typeof received === 'object' && 'response' in received && 'body' in received) {
+        return received.body;
+    }
+    if (received && typeof received === 'object' && 'statusCode' in received && 'body' in received) {
+        const type = (received.headers && received.headers['content-type']) || '';
+        return /xml/i.test(type) ? parseBody(received.text, type) : received.body;
+    }
+    return received;
+};
+
+const matchers = {
+    toMatchContract(received, name) {
+        const body = bodyOf(received);
+        const { valid, errors } = validateContract(name, body);
+
+        return {
+            pass: valid,
+            message: () => (valid
+                ? `${this.utils.matcherHint('.not.toMatchContract')}\n\n` +
+                  `Expected body not to match the "${name}" contract, but it did:\n` +
+                  `  ${this.utils.printReceived(body)}`
+                : `${this.utils.matcherHint('.toMatchContract')}\n\n` +
+                  `Body does not match the "${name}" contract:\n` +
+                  errors.map(error => `  - ${error}`).join('\n') +
+                  `\n\nReceived:\n  ${this.utils.printReceived(body)}`)
+        };
+    },
+
+    // expect(collector).toHavePercentileBelow('GET /booking', 95, 800)
+    toHavePercentileBelow(collector, endpoint, p, thresholdMs) {
+        const stats = collector.stats(endpoint);
+        const actual = collector.percentile(endpoint, p);
+        const pass = actual !== undefined && actual < thresholdMs;
+
+        return {
+            pass,
+            message: () => {
+                const hint = this.utils.matcherHint(`${pass ? '.not' : ''}.toHavePercentileBelow`);
+                if (actual === undefined) {
+                    return `${hint}\n\nNo samples were recorded for ${endpoint}`;
+                }
+                return `${hint}\n\n` +
+                    `Expected p${p} of ${endpoint} ${pass ? 'not ' : ''}to be below ${thresholdMs}ms, ` +
+                    `but it was ${actual.toFixed(1)}ms\n` +
+                    `  samples: ${stats.count}, min ${stats.min}ms, p50 ${stats.p50}ms, ` +
+                    `p95 ${stats.p95}ms, p99 ${stats.p99}ms, max ${stats.max}ms`;
+            }
+        };
+    },
+
+    // expect(collector).toBeWithinBaseline('GET /booking', baseline.endpoints['GET /booking'])
+    toBeWithinBaseline(collector, endpoint, baselineStats, tolerances) {
+        const rows = compareToBaseline(baselineStats, collector.stats(endpoint), tolerances);
+        const pass = rows.every(row => !row.regressed);
+
+        return {
+            pass,
+            message: () => `${this.utils.matcherHint(`${pass ? '.not' : ''}.toBeWithinBaseline`)}\n\n` +
+                `Expected ${endpoint} ${pass ? 'to regress' : 'to stay within'} its performance baseline:\n\n` +
+                formatComparison(endpoint, rows)
+        };
+    }
+};
+
+module.exports = matchers;
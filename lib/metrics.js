@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const { runDir, currentTest } = require('./run-context');
+
+const PERCENTILES = [50, 90, 95, 99];
+
+// Upper bounds (ms) of the latency histogram buckets; the last bucket is open.
+const HISTOGRAM_BOUNDS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+const routeOf = (urlPath) => urlPath.split('?')[0].replace(/^\/booking\/[^/]+$/, '/booking/:id');
+
+const endpointOf = (method, urlPath) => `${method.toUpperCase()} ${routeOf(urlPath)}`;
+
+// Transport failures, throttling and server errors count against the error
+// rate; 4xx answers are usually the behaviour under test.
+const isError = ({ status, error }) => Boolean(error) || status === 429 || status >= 500;
+
+// Nearest-rank percentile over an ascending array.
+const percentile = (sorted, p) => {
+    if (sorted.length === 0) {
+        return undefined;
+    }
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+};
+
+const histogram = (sorted) => {
+    const buckets = HISTOGRAM_BOUNDS.map(le => ({ le, count: 0 }));
+    buckets.push({ le: null, count: 0 });
+    sorted.forEach((duration) => {
+        const bucket = buckets.find(({ le }) => le === null || duration <= le);
+        bucket.count += 1;
+    });
+    return buckets;
+};
+
+const round = value => (value === undefined ? undefined : Math.round(value * 1000) / 1000);
+
+/** Summarises a list of timing samples into min/percentiles/max and error rate. */
+const summarize = (samples) => {
+    const sorted = samples.map(sample => sample.durationMs).sort((a, b) => a - b);
+    const errors = samples.filter(isError).length;
+    const stats = {
+        count: samples.length,
+        errors,
+        errorRate: samples.length ? round(errors / samples.length) : 0,
+        min: round(sorted[0]),
+        mean: round(sorted.length ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : undefined)
+    };
+    PERCENTILES.forEach((p) => {
+        stats[`p${p}`] = round(percentile(sorted, p));
+    });
+    stats.max = round(sorted[sorted.length - 1]);
+    stats.histogram = histogram(sorted);
+    return stats;
+};
+
+const groupBy = (samples, keyOf) => samples.reduce((groups, sample) => {
+    const key = keyOf(sample);
+    (groups[key] = groups[key] || []).push(sample);
+    return groups;
+}, {});
+
+const summarizeByEndpoint = (samples) => {
+    const groups = groupBy(samples, sample => sample.endpoint);
+    return Object.keys(groups).sort().reduce((stats, endpoint) => {
+        stats[endpoint] = summarize(groups[endpoint]);
+        return stats;
+    }, {});
+};
+
+/**
+ * Collects high-resolution request timings keyed by "METHOD /route".
+ */
+const createTimingCollector = () => {
+    const samples = [];
+
+    return {
+        samples,
+
+        record({ method, path: urlPath, status, durationMs, error }) {
+            const test = currentTest();
+            samples.push({
+                endpoint: endpointOf(method, urlPath),
+                status,
+                durationMs,
+                error: error ? error.code || error.message : undefined,
+                suite: test && test.suite,
+                test: test && test.name
+            });
+        },
+
+        // Summary for one endpoint, or for every endpoint when omitted.
+        stats(endpoint) {
+            if (endpoint === undefined) {
+                return summarizeByEndpoint(samples);
+            }
+            return summarize(samples.filter(sample => sample.endpoint === endpoint));
+        },
+
+        percentile(endpoint, p) {
+            const sorted = samples
+                .filter(sample => sample.endpoint === endpoint)
+                .map(sample => sample.durationMs)
+                .sort((a, b) => a - b);
+            return percentile(sorted, p);
+        },
+
+        reset() {
+            samples.length = 0;
+        }
+    };
+};
+
+// One collector per test file; every BookerClient in the file reports to it.
+const runCollector = createTimingCollector();
+
+// Called after each test file so the parent process can aggregate all workers.
+const flushRunCollector = () => {
+    if (!runDir() || runCollector.samples.length === 0) {
+        return;
+    }
+    const file = path.join(runDir(), `timings-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    fs.writeFileSync(file, JSON.stringify(runCollector.samples));
+    runCollector.reset();
+};
+
+const readRunSamples = (dir = runDir()) => {
+    if (!dir || !fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter(name => /^timings-.*\.json$/.test(name))
+        .flatMap(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+};
+
+/** Renders per-endpoint stats as an aligned text table for console output. */
+const formatLatencyTable = (statsByEndpoint) => {
+    const columns = ['count', 'min', 'p50', 'p90', 'p95', 'p99', 'max', 'errorRate'];
+    const rows = Object.keys(statsByEndpoint).map(endpoint =>
+        [endpoint, ...columns.map(column => String(statsByEndpoint[endpoint][column]))]);
+    const header = ['endpoint', ...columns];
+    const widths = header.map((title, index) =>
+        Math.max(title.length, ...rows.map(row => row[index].length)));
+    const line = cells => cells.map((cell, index) =>
+        (index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index]))).join('  ');
+    return [line(header), ...rows.map(line)].join('\n');
+};
+
+/** Builds the machine-readable results document for a whole run. */
+const buildRunResults = (samples, meta = {}) => {
+    const suites = groupBy(samples, sample => sample.suite || '(outside tests)');
+    return {
+        ...meta,
+        generatedAt: new Date().toISOString(),
+        endpoints: summarizeByEndpoint(samples),
+        suites: Object.keys(suites).sort().reduce((bySuite, suite) => {
+            bySuite[suite] = summarizeByEndpoint(suites[suite]);
+            return bySuite;
+        }, {})
+    };
+};
+
+const writeRunResults = (outputPath, meta) => {
+    const samples = readRunSamples();
+    if (samples.length === 0) {
+        return undefined;
+    }
+    const results = buildRunResults(samples, meta);
+    fs.writeFileSync(outputPath, `${JSON.stringify(results, null, 2)}\n`);
+    return results;
+};
+
+module.exports = {
+    PERCENTILES,
+    buildRunResults,
+    createTimingCollector,
+    endpointOf,
+    flushRunCollector,
+    formatLatencyTable,
+    percentile,
+    readRunSamples,
+    runCollector,
+    summarize,
+    writeRunResults
+};
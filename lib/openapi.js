@@ -0,0 +1,248 @@
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { describeError } = require('./contracts');
+const { parseBody } = require('./formats');
+const { currentTest } = require('./run-context');
+
+const SPEC_PATH = path.join(__dirname, '..', 'openapi.json');
+const SPEC_ID = 'openapi.json';
+const METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options', 'trace'];
+
+const escapePointer = segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+const unescapePointer = segment => segment.replace(/~1/g, '/').replace(/~0/g, '~');
+
+const decodeSegment = (segment) => {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return segment;
+    }
+};
+
+const mediaTypeOf = contentType => String(contentType || '').split(';')[0].trim().toLowerCase();
+
+// Query and path values arrive as text; give them their schema's type.
+const coerceParameter = (value, schema = {}) => {
+    if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+};
+
+/**
+ * Checks HTTP exchanges against an OpenAPI 3 document (openapi.json by
+ * default). `check(exchange)` returns `{ operation, violations }`: the
+ * matched operation (`GET /booking/{id}`) if any, and a message for each
+ * way the exchange strays from the spec — an undocumented path, method,
+ * parameter or status, a wrong content type, or a body with extra, missing
+ * or mistyped fields. A request the spec forbids is only a violation when
+ * the server accepts it (2xx); documented error responses are the spec
+ * describing the rejection.
+ */
+const createSpecValidator = (spec = require(SPEC_PATH)) => {
+    // Not strict: the document also holds OpenAPI keywords (paths, info, ...).
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(ajv, ['date']);
+    ajv.addSchema(spec, SPEC_ID);
+    const validators = new Map();
+
+    const nodeAt = segments => segments.reduce((node, segment) => node && node[segment], spec);
+
+    // Follows `$ref`s to the segments of the node they point at.
+    const follow = (segments) => {
+        const node = nodeAt(segments);
+        return node && node.$ref ? follow(node.$ref.replace(/^#\//, '').split('/').map(unescapePointer)) : segments;
+    };
+
+    const validate = (segments, value) => {
+        const key = segments.map(escapePointer).join('/');
+        if (!validators.has(key)) {
+            validators.set(key, ajv.compile({ $ref: `${SPEC_ID}#/${key}` }));
+        }
+        const validator = validators.get(key);
+        return validator(value) ? [] : validator.errors.map(describeError);
+    };
+
+    const operations = Object.keys(spec.paths).flatMap(template => METHODS
+        .filter(method => spec.paths[template][method])
+        .map((method) => {
+            const at = ['paths', template, method];
+            const parameters = [
+                ...(spec.paths[template].parameters || []).map((parameter, index) => follow(['paths', template, 'parameters', index])),
+                ...(nodeAt(at).parameters || []).map((parameter, index) => follow([...at, 'parameters', index]))
+            ];
+            const names = [];
+            const pattern = new RegExp(`^${template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+                names.push(name);
+                return '([^/]+)';
+            })}/?$`);
+            return {
+                method: method.toUpperCase(),
+                template,
+                route: `${method.toUpperCase()} ${template}`,
+                at,
+                parameters,
+                names,
+                pattern,
+                statuses: Object.keys(nodeAt(at).responses),
+                queryParameters: parameters.map(nodeAt).filter(parameter => parameter.in === 'query').map(({ name }) => name),
+                securitySchemes: [...new Set((nodeAt(at).security || spec.security || []).flatMap(Object.keys))]
+            };
+        }));
+
+    /** The operation serving `method` on `urlPath`, if the spec has one. */
+    const match = (method, urlPath) =>
+        operations.find(operation => operation.method === method.toUpperCase() && operation.pattern.test(urlPath));
+
+    const parameterIssues = (operation, location, values) => operation.parameters
+        .filter(segments => nodeAt(segments).in === location)
+        .flatMap((segments) => {
+            const { name, required, schema } = nodeAt(segments);
+            if (values[name] === undefined) {
+                return required ? [`${location} parameter "${name}" is required`] : [];
+            }
+            return validate([...segments, 'schema'], coerceParameter(String(values[name]), schema))
+                .map(error => `${location} parameter "${name}" ${error.replace(/^\(root\): /, '')}`);
+        });
+
+    const bodyIssues = (operation, { requestContentType, requestBody }) => {
+        const at = nodeAt([...operation.at, 'requestBody']) ? follow([...operation.at, 'requestBody']) : undefined;
+        if (!at) {
+            return requestBody === undefined || requestBody === '' ? [] : ['request body is not documented'];
+        }
+        if (requestBody === undefined || requestBody === '') {
+            return nodeAt(at).required ? ['request body is required'] : [];
+        }
+        const mediaType = mediaTypeOf(requestContentType);
+        if (!nodeAt([...at, 'content', mediaType])) {
+            return [`request content type "${mediaType}" is not documented`];
+        }
+        let value;
+        try {
+            value = typeof requestBody === 'string' ? parseBody(requestBody, mediaType) : requestBody;
+        } catch (error) {
+            return [`request body does not parse: ${error.message}`];
+        }
+        return validate([...at, 'content', mediaType, 'schema'], value).map(error => `request body ${error}`);
+    };
+
+    const responseIssues = (operation, { status, responseContentType, responseText }) => {
+        const responses = nodeAt([...operation.at, 'responses']);
+        const key = [String(status), `${String(status)[0]}XX`, 'default'].find(candidate => responses[candidate]);
+        if (!key) {
+            return [`status ${status} is not documented (expected ${Object.keys(responses).join(', ')})`];
+        }
+        const at = follow([...operation.at, 'responses', key]);
+        const content = nodeAt(at).content;
+        if (!content) {
+            return [];
+        }
+        const mediaType = mediaTypeOf(responseContentType);
+        if (!content[mediaType]) {
+            return [`content type "${mediaType}" is not documented for ${status} (expected ${Object.keys(content).join(', ')})`];
+        }
+        let value;
+        try {
+            value = mediaType === 'text/plain' ? responseText || '' : parseBody(responseText || '', mediaType);
+        } catch (error) {
+            return [`response body does not parse as ${mediaType}: ${error.message}`];
+        }
+        return validate([...at, 'content', mediaType, 'schema'], value).map(error => `response body ${error}`);
+    };
+
+    return {
+        /**
+         * Every documented operation: `route` (`GET /booking/{id}`), its
+         * documented `statuses`, `queryParameters` and `securitySchemes`.
+         */
+        operations,
+
+        match,
+
+        /** `exchange`: method, path, query, request/response content types and bodies, status. */
+        check(exchange) {
+            const method = exchange.method.toUpperCase();
+            const operation = match(method, exchange.path);
+            if (!operation) {
+                const other = operations.find(({ pattern }) => pattern.test(exchange.path));
+                return { violations: [other ? `${method} is not documented for ${other.template}` : `path ${exchange.path} is not documented`] };
+            }
+
+            const segments = operation.pattern.exec(exchange.path);
+            const pathValues = operation.names.reduce((values, name, index) => ({ ...values, [name]: decodeSegment(segments[index + 1]) }), {});
+            const query = exchange.query || {};
+            const documented = operation.parameters.map(segments => nodeAt(segments).name);
+            const requestIssues = [
+                ...parameterIssues(operation, 'path', pathValues),
+                ...Object.keys(query).filter(name => !documented.includes(name)).map(name => `query parameter "${name}" is not documented`),
+                ...parameterIssues(operation, 'query', query),
+                ...bodyIssues(operation, exchange)
+            ];
+
+            const accepted = exchange.status >= 200 && exchange.status < 300;
+            return {
+                operation: operation.route,
+                violations: [
+                    ...(accepted && requestIssues.length > 0
+                        ? [`accepted a request the spec does not allow: ${requestIssues.join('; ')}`]
+                        : []),
+                    ...responseIssues(operation, exchange)
+                ]
+            };
+        }
+    };
+};
+
+/**
+ * Collects spec violations of one test file's traffic. The validator is
+ * built on first use, so files that never send a request do not pay for it.
+ */
+const createConformanceLog = (makeValidator = createSpecValidator) => {
+    let validator;
+    let entries = [];
+
+    return {
+        get violations() {
+            return entries.map(entry => entry.message);
+        },
+
+        /** Tags each violation with the test or hook that sent the request. */
+        record(exchange, test = currentTest()) {
+            validator = validator || makeValidator();
+            const { violations: found } = validator.check(exchange);
+            const source = test ? `[${test.hook || test.name}] ` : '';
+            const request = `${exchange.method.toUpperCase()} ${exchange.path} → ${exchange.status}`;
+            found.forEach(message => entries.push({ message: `${source}${request}: ${message}`, hook: Boolean(test && test.hook) }));
+        },
+
+        /**
+         * Returns the violations collected so far and forgets them. With
+         * `hooks: false`, those sent from beforeAll/afterAll are kept.
+         */
+        take({ hooks = true } = {}) {
+            const taken = entries.filter(entry => hooks || !entry.hook);
+            entries = entries.filter(entry => !taken.includes(entry));
+            return taken.map(entry => entry.message);
+        }
+    };
+};
+
+// One log per test file; jest.setup-after-env.js fails the test that sent
+// a violating request, or the file when a hook sent it.
+const runConformance = createConformanceLog();
+
+const assertConformance = (log = runConformance, options) => {
+    const violations = log.take(options);
+    if (violations.length > 0) {
+        throw new Error(`Traffic does not conform to ${path.basename(SPEC_PATH)}:\n` +
+            violations.map(violation => `  - ${violation}`).join('\n'));
+    }
+};
+
+module.exports = {
+    SPEC_PATH,
+    assertConformance,
+    createConformanceLog,
+    createSpecValidator,
+    runConformance
+};
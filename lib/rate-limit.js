@@ -0,0 +1,159 @@
+const DEFAULT_BACKOFF = { maxRetries: 3, baseDelayMs: 500, maxWaitMs: 30000 };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const header = (headers, name) => {
+    const value = headers && headers[name.toLowerCase()];
+    return Array.isArray(value) ? value[0] : value;
+};
+
+const numericHeader = (headers, ...names) => {
+    const value = names.map(name => header(headers, name)).find(candidate => candidate !== undefined);
+    const number = Number(value);
+    return value === undefined || value === '' || !Number.isFinite(number) ? undefined : number;
+};
+
+/**
+ * Parses a Retry-After value (delay in seconds or an HTTP date) into
+ * milliseconds from `now`. Returns undefined when absent or unparseable.
+ */
+const parseRetryAfter = (value, now = Date.now()) => {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return undefined;
+    }
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return Number(text) * 1000;
+    }
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+};
+
+/**
+ * Reads the rate-limit state a response advertises: Retry-After plus the
+ * IETF `RateLimit-*` or de-facto `X-RateLimit-*` headers. `resetMs` is the
+ * time until the window resets; `retryAfterMs` prefers Retry-After.
+ * 429 always means throttled, 503 only when it says when to come back (a
+ * bare 503 is an outage, not a rate limit). Accepts a client result or a
+ * raw response.
+ */
+const rateLimitInfo = (result, now = Date.now()) => {
+    const { status } = result;
+    const { headers } = result.response || result;
+    const retryAfter = parseRetryAfter(header(headers, 'Retry-After'), now);
+    let reset = numericHeader(headers, 'RateLimit-Reset', 'X-RateLimit-Reset');
+    // X-RateLimit-Reset is often an epoch timestamp rather than a delay.
+    if (reset !== undefined && reset > 1e9) {
+        reset = Math.max(0, reset * 1000 - now) / 1000;
+    }
+    const resetMs = reset === undefined ? undefined : reset * 1000;
+    const advertised = retryAfter !== undefined || resetMs !== undefined;
+
+    return {
+        status,
+        throttled: status === 429 || (status === 503 && advertised),
+        limit: numericHeader(headers, 'RateLimit-Limit', 'X-RateLimit-Limit'),
+        remaining: numericHeader(headers, 'RateLimit-Remaining', 'X-RateLimit-Remaining'),
+        resetMs,
+        retryAfterMs: retryAfter !== undefined ? retryAfter : resetMs
+    };
+};
+
+/**
+ * Fixed-window request limiter used by the emulator. `check()` counts a
+ * request and returns the headers to send, plus `retryAfterSeconds` when the
+ * window is exhausted.
+ */
+const createRateLimiter = ({ limit, windowMs, now = Date.now }) => {
+    let windowStart;
+    let count = 0;
+
+    return {
+        check() {
+            const time = now();
+            if (windowStart === undefined || time - windowStart >= windowMs) {
+                windowStart = time;
+                count = 0;
+            }
+            const resetSeconds = Math.ceil((windowStart + windowMs - time) / 1000);
+            const allowed = count < limit;
+            if (allowed) count += 1;
+
+            return {
+                allowed,
+                retryAfterSeconds: allowed ? undefined : resetSeconds,
+                headers: {
+                    'RateLimit-Limit': String(limit),
+                    'RateLimit-Remaining': String(limit - count),
+                    'RateLimit-Reset': String(resetSeconds)
+                }
+            };
+        }
+    };
+};
+
+/**
+ * Sends requests one after another until the target throttles or
+ * `maxRequests` is reached. `onset` is the number of requests that got
+ * through before the first throttled response (undefined if none was).
+ */
+const probeRateLimit = async (send, { maxRequests = 50 } = {}) => {
+    const responses = [];
+    for (let i = 0; i < maxRequests; i++) {
+        const response = await send();
+        const info = rateLimitInfo(response);
+        responses.push(info);
+        if (info.throttled) {
+            return { onset: i, throttled: info, responses };
+        }
+    }
+    return { onset: undefined, throttled: undefined, responses };
+};
+
+/**
+ * Polls until the target stops throttling and reports how long that took.
+ * Polls every `pollMs`, giving up after `timeoutMs`.
+ */
+const measureRecovery = async (send, { pollMs = 100, timeoutMs = 60000 } = {}) => {
+    const start = Date.now();
+    let attempts = 0;
+    while (Date.now() - start <= timeoutMs) {
+        attempts += 1;
+        const info = rateLimitInfo(await send());
+        if (!info.throttled) {
+            return { recovered: true, recoveredAfterMs: Date.now() - start, attempts, status: info.status };
+        }
+        await sleep(pollMs);
+    }
+    return { recovered: false, recoveredAfterMs: undefined, attempts };
+};
+
+/**
+ * How long the client should wait before retrying a throttled response:
+ * the advertised delay, or exponential backoff when none was given.
+ * Undefined means give up.
+ */
+const backoffDelay = (info, attempt, { maxRetries, baseDelayMs, maxWaitMs } = DEFAULT_BACKOFF) => {
+    if (attempt >= maxRetries) {
+        return undefined;
+    }
+    const delay = info.retryAfterMs !== undefined ? info.retryAfterMs : baseDelayMs * 2 ** attempt;
+    return delay > maxWaitMs ? undefined : delay;
+};
+
+const backoffFromEnv = () => ({
+    ...DEFAULT_BACKOFF,
+    maxRetries: Number(process.env.RATE_LIMIT_RETRIES || DEFAULT_BACKOFF.maxRetries),
+    maxWaitMs: Number(process.env.RATE_LIMIT_MAX_WAIT_MS || DEFAULT_BACKOFF.maxWaitMs)
+});
+
+module.exports = {
+    DEFAULT_BACKOFF,
+    backoffDelay,
+    backoffFromEnv,
+    createRateLimiter,
+    measureRecovery,
+    parseRetryAfter,
+    probeRateLimit,
+    rateLimitInfo
+};
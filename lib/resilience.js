@@ -0,0 +1,82 @@
+// Transport errors worth another attempt: the connection dropped or the
+// request timed out before the server answered.
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT', 'EPIPE'];
+
+// Gateway and availability failures; anything else is the API's answer.
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+// RFC 9110 idempotent methods. POST and PATCH are only retried when the call
+// says it is safe (`retry: { idempotent: true }`).
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+const DEFAULT_RETRY_POLICY = { retries: 2, baseDelayMs: 200, maxDelayMs: 2000 };
+
+/**
+ * Why an attempt failed transiently ("ECONNRESET", "timeout", "HTTP 503"),
+ * or undefined when it is not worth retrying.
+ */
+const transientFailure = ({ status, error }) => {
+    if (error) {
+        if (error.timeout !== undefined) return 'timeout';
+        return RETRYABLE_ERROR_CODES.includes(error.code) ? error.code : undefined;
+    }
+    return RETRYABLE_STATUSES.includes(status) ? `HTTP ${status}` : undefined;
+};
+
+const isIdempotent = (method, policy = {}) =>
+    Boolean(policy.idempotent) || IDEMPOTENT_METHODS.includes(method.toUpperCase());
+
+// Exponential backoff with full jitter: a random delay up to the capped
+// exponential step, so parallel workers do not retry in lockstep.
+const retryDelay = (attempt, { baseDelayMs, maxDelayMs } = DEFAULT_RETRY_POLICY, random = Math.random) =>
+    Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+
+const retryPolicyFromEnv = () => ({
+    ...DEFAULT_RETRY_POLICY,
+    retries: Number(process.env.RETRY_MAX || DEFAULT_RETRY_POLICY.retries),
+    baseDelayMs: Number(process.env.RETRY_BASE_DELAY_MS || DEFAULT_RETRY_POLICY.baseDelayMs)
+});
+
+/**
+ * Merges a per-call `retry` option into the client's policy: `false`
+ * disables retries, a number sets the budget, an object overrides fields.
+ */
+const resolveRetryPolicy = (policy, option) => {
+    if (option === false || (option === undefined && !policy)) {
+        return undefined;
+    }
+    const base = policy || DEFAULT_RETRY_POLICY;
+    if (typeof option === 'number') {
+        return { ...base, retries: option };
+    }
+    return { ...base, ...option };
+};
+
+// Retries made during the current test, read by jest.environment.js to
+// annotate the test's output. The environment resets the list per test.
+const recordRetries = (entry) => {
+    if (Array.isArray(globalThis.__BOOKER_RETRIES__)) {
+        globalThis.__BOOKER_RETRIES__.push(entry);
+    }
+};
+
+const formatRetries = (entries) => {
+    const total = entries.reduce((sum, { reasons }) => sum + reasons.length, 0);
+    const details = entries.map(({ endpoint, reasons, outcome }) =>
+        `${endpoint} x${reasons.length} (${reasons.join(', ')}) -> ${outcome}`);
+    return `${total} ${total === 1 ? 'retry' : 'retries'}: ${details.join('; ')}`;
+};
+
+module.exports = {
+    DEFAULT_RETRY_POLICY,
+    IDEMPOTENT_METHODS,
+    RETRYABLE_ERROR_CODES,
+    RETRYABLE_STATUSES,
+    formatRetries,
+    isIdempotent,
+    recordRetries,
+    resolveRetryPolicy,
+    retryDelay,
+    retryPolicyFromEnv,
+    transientFailure
+};
@@ -0,0 +1,35 @@
+const path = require('path');
+
+// Directory shared by the Jest parent and its workers for per-run artifacts.
+// Created by jest.global-setup.js; undefined outside a Jest run.
+const runDir = () => process.env.BOOKER_RUN_DIR;
+
+/**
+ * Identifies the test currently executing in this worker. Inside
+ * beforeAll/afterAll the name is "(hook)" and `hook` says which one, as
+ * set by jest.environment.js. Returns undefined outside Jest.
+ */
+const currentTest = () => {
+    if (typeof expect === 'undefined' || typeof expect.getState !== 'function') {
+        return undefined;
+    }
+    const { currentTestName, testPath } = expect.getState();
+    if (!testPath) {
+        return undefined;
+    }
+    // Jest keeps currentTestName from the previous test while hooks run.
+    const hook = global.__BOOKER_HOOK__;
+    return {
+        suite: path.basename(testPath),
+        name: hook || !currentTestName ? '(hook)' : currentTestName,
+        ...(hook && { hook })
+    };
+};
+
+const describeTest = test => (test ? `${test.suite} > ${test.hook || test.name}` : '(outside tests)');
+
+module.exports = {
+    runDir,
+    currentTest,
+    describeTest
+};
@@ -0,0 +1,235 @@
+const { isDeepStrictEqual } = require('util');
+const fc = require('fast-check');
+const { bookingDates, name, validBooking } = require('./arbitraries');
+const { tagName } = require('./cleanup');
+
+/**
+ * Reference model of the bookings a command sequence created: `ids` in
+ * creation order (deleted ones stay, so later commands can target them),
+ * `live`, what the server should currently hold for each, and `last`, each
+ * booking's latest state even once deleted.
+ */
+const createModel = () => ({ ids: [], live: new Map(), last: new Map() });
+
+// Commands pick their booking as an index into `model.ids`, so sequences stay
+// meaningful while fast-check shrinks them.
+const targetOf = (model, target) => model.ids[target % model.ids.length];
+
+const describeTarget = target => `#${target}`;
+
+// Divergences from the model fail the command; fast-check then shrinks the
+// sequence and reports the shortest one that still fails.
+const expectSame = (what, actual, expected) => {
+    if (!isDeepStrictEqual(actual, expected)) {
+        throw new Error(`${what}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+};
+
+class CreateCommand {
+    constructor(booking) {
+        this.booking = booking;
+    }
+
+    check() {
+        return true;
+    }
+
+    async run(model, { client }) {
+        const { status, body } = await client.createBooking(this.booking);
+        expectSame('POST /booking status', status, 200);
+        expectSame('created booking', body.booking, this.booking);
+        model.ids.push(body.bookingid);
+        model.live.set(body.bookingid, this.booking);
+        model.last.set(body.bookingid, this.booking);
+    }
+
+    toString() {
+        return `Create(${JSON.stringify(this.booking)})`;
+    }
+}
+
+class GetCommand {
+    constructor(target) {
+        this.target = target;
+    }
+
+    check(model) {
+        return model.ids.length > 0;
+    }
+
+    async run(model, { client }) {
+        const id = targetOf(model, this.target);
+        const { status, body } = await client.getBooking(id);
+        if (model.live.has(id)) {
+            expectSame(`GET /booking/${id} status`, status, 200);
+            expectSame(`booking ${id}`, body, model.live.get(id));
+        } else {
+            expectSame(`GET /booking/${id} status after delete`, status, 404);
+        }
+    }
+
+    toString() {
+        return `Get(${describeTarget(this.target)})`;
+    }
+}
+
+// Lists by the target's names; of the returned ids only this sequence's are
+// compared, since the server holds other bookings too.
+class ListCommand {
+    constructor(target) {
+        this.target = target;
+    }
+
+    check(model) {
+        return model.ids.length > 0;
+    }
+
+    async run(model, { client }) {
+        const { firstname, lastname } = model.last.get(targetOf(model, this.target));
+        const { status, body } = await client.listBookings({ firstname, lastname });
+        expectSame('GET /booking status', status, 200);
+
+        const listed = body.map(({ bookingid }) => bookingid).filter(id => model.ids.includes(id));
+        const expected = [...model.live.keys()].filter(id =>
+            model.live.get(id).firstname === firstname && model.live.get(id).lastname === lastname);
+        expectSame(`bookings named ${firstname} ${lastname}`, listed.sort((a, b) => a - b), expected.sort((a, b) => a - b));
+    }
+
+    toString() {
+        return `List(${describeTarget(this.target)})`;
+    }
+}
+
+class UpdateCommand {
+    constructor(target, booking) {
+        this.target = target;
+        this.booking = booking;
+    }
+
+    check(model) {
+        return model.ids.length > 0;
+    }
+
+    async run(model, { client }) {
+        const id = targetOf(model, this.target);
+        const { status, body } = await client.updateBooking(id, this.booking);
+        if (model.live.has(id)) {
+            expectSame(`PUT /booking/${id} status`, status, 200);
+            expectSame(`updated booking ${id}`, body, this.booking);
+            model.live.set(id, this.booking);
+            model.last.set(id, this.booking);
+        } else {
+            expectSame(`PUT /booking/${id} status after delete`, status, 405);
+        }
+    }
+
+    toString() {
+        return `Update(${describeTarget(this.target)}, ${JSON.stringify(this.booking)})`;
+    }
+}
+
+class PatchCommand {
+    constructor(target, patch) {
+        this.target = target;
+        this.patch = patch;
+    }
+
+    check(model) {
+        return model.ids.length > 0;
+    }
+
+    async run(model, { client }) {
+        const id = targetOf(model, this.target);
+        const { status, body } = await client.patchBooking(id, this.patch);
+        if (model.live.has(id)) {
+            // Fields the patch does not mention must survive it.
+            const patched = { ...model.live.get(id), ...this.patch };
+            expectSame(`PATCH /booking/${id} status`, status, 200);
+            expectSame(`patched booking ${id}`, body, patched);
+            model.live.set(id, patched);
+            model.last.set(id, patched);
+        } else {
+            expectSame(`PATCH /booking/${id} status after delete`, status, 405);
+        }
+    }
+
+    toString() {
+        return `Patch(${describeTarget(this.target)}, ${JSON.stringify(this.patch)})`;
+    }
+}
+
+class DeleteCommand {
+    constructor(target) {
+        this.target = target;
+    }
+
+    check(model) {
+        return model.ids.length > 0;
+    }
+
+    async run(model, { client }) {
+        const id = targetOf(model, this.target);
+        const { status } = await client.deleteBooking(id);
+        if (model.live.has(id)) {
+            expectSame(`DELETE /booking/${id} status`, status, 201);
+            model.live.delete(id);
+        } else {
+            expectSame(`DELETE /booking/${id} status after delete`, status, 405);
+        }
+    }
+
+    toString() {
+        return `Delete(${describeTarget(this.target)})`;
+    }
+}
+
+// Logs in again; later protected calls must keep working with the new token.
+class AuthCommand {
+    check() {
+        return true;
+    }
+
+    async run(model, { client }) {
+        const { status, token } = await client.auth();
+        expectSame('POST /auth status', status, 200);
+        expectSame('token type', typeof token, 'string');
+    }
+
+    toString() {
+        return 'Auth()';
+    }
+}
+
+const booking = validBooking.map(generated => ({ ...generated, lastname: tagName(generated.lastname) }));
+
+// Whole `bookingdates` only: a lone checkin could land after the stored checkout.
+const patch = fc.record({
+    firstname: name,
+    totalprice: fc.integer({ min: 0, max: 100000 }),
+    depositpaid: fc.boolean(),
+    bookingdates: bookingDates,
+    additionalneeds: fc.string({ unit: 'grapheme', maxLength: 40 })
+}, { requiredKeys: [] });
+
+const target = fc.nat();
+
+/** Random create/get/list/update/patch/delete/auth sequences over bookings. */
+const bookingCommands = ({ maxCommands = 20 } = {}) => fc.commands([
+    booking.map(generated => new CreateCommand(generated)),
+    target.map(index => new GetCommand(index)),
+    target.map(index => new ListCommand(index)),
+    fc.tuple(target, booking).map(([index, generated]) => new UpdateCommand(index, generated)),
+    fc.tuple(target, patch).map(([index, fields]) => new PatchCommand(index, fields)),
+    target.map(index => new DeleteCommand(index)),
+    fc.constant(new AuthCommand())
+], { maxCommands });
+
+/** Runs one generated sequence against `client`, checking every step against a fresh model. */
+const runCommands = (client, commands) =>
+    fc.asyncModelRun(() => ({ model: createModel(), real: { client } }), commands);
+
+module.exports = {
+    bookingCommands,
+    createModel,
+    runCommands
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// Tokens only work on the server that issued them, so the cache key is the
+// target plus the credentials (the password hashed).
+const sessionKey = (baseUrl, { username, password }) =>
+    `${baseUrl} ${username}:${crypto.createHash('sha256').update(String(password)).digest('hex').slice(0, 12)}`;
+
+/**
+ * Caches auth tokens per target and credential set, so clients sharing
+ * credentials log in once and concurrent requests wait for the same login.
+ * Sessions are `{ token, issuedAt }`; `token` is undefined when the login
+ * was refused.
+ */
+const createTokenManager = ({ now = Date.now } = {}) => {
+    const sessions = new Map();
+    const logins = new Map();
+
+    return {
+        now,
+
+        /** Cached session, or the one `login` (which must call `store`) creates. */
+        async acquire(baseUrl, credentials, login) {
+            const key = sessionKey(baseUrl, credentials);
+            if (!sessions.has(key)) {
+                if (!logins.has(key)) {
+                    logins.set(key, Promise.resolve().then(login).finally(() => logins.delete(key)));
+                }
+                await logins.get(key);
+            }
+            return sessions.get(key) || { token: undefined, issuedAt: now() };
+        },
+
+        store(baseUrl, credentials, token) {
+            const session = { token, issuedAt: now() };
+            sessions.set(sessionKey(baseUrl, credentials), session);
+            return session;
+        },
+
+        // Only drops the session if it still holds `token`: of several
+        // requests failing with the same token, the first forces a new login
+        // and the others reuse it.
+        invalidate(baseUrl, credentials, token) {
+            const key = sessionKey(baseUrl, credentials);
+            if (sessions.has(key) && sessions.get(key).token === token) {
+                sessions.delete(key);
+            }
+        },
+
+        ageOf(session) {
+            return now() - session.issuedAt;
+        },
+
+        clear() {
+            sessions.clear();
+        }
+    };
+};
+
+let shared;
+
+/** Token manager shared by the clients of the current test file (or script). */
+const sharedTokenManager = () => {
+    if (!shared) {
+        shared = createTokenManager();
+    }
+    return shared;
+};
+
+module.exports = {
+    createTokenManager,
+    sharedTokenManager
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { endpointOf } = require('./metrics');
+const { currentTest, runDir } = require('./run-context');
+
+const CORRELATION_HEADER = 'X-Correlation-Id';
+
+const trafficLogPath = () => process.env.TRAFFIC_LOG_PATH || './traffic-log.ndjson';
+
+// Set by jest.global-setup.js so every worker stamps the same run id; scripts
+// outside Jest get one per process.
+const runId = () => {
+    if (!process.env.BOOKER_RUN_ID) {
+        process.env.BOOKER_RUN_ID = crypto.randomBytes(4).toString('hex');
+    }
+    return process.env.BOOKER_RUN_ID;
+};
+
+const workerId = () => process.env.JEST_WORKER_ID || 'main';
+
+let sequence = 0;
+
+/**
+ * Correlation for one outgoing request: a unique `id`
+ * (`<run>-w<worker>-<n>`) plus the suite, test and worker that sent it.
+ */
+const nextCorrelation = (test = currentTest()) => ({
+    id: `${runId()}-w${workerId()}-${++sequence}`,
+    suite: test ? test.suite : '(outside tests)',
+    test: test ? test.name : undefined,
+    worker: workerId()
+});
+
+/**
+ * Header value, e.g. `id=3f2a9c01-w1-7; suite=booking.test.js;
+ * test=Create%20Booking%20...; worker=1`. Values are percent-encoded so
+ * any test name is a valid header.
+ */
+const formatCorrelationHeader = correlation => ['id', 'suite', 'test', 'worker']
+    .filter(key => correlation[key] !== undefined)
+    .map(key => `${key}=${encodeURIComponent(correlation[key])}`)
+    .join('; ');
+
+const parseCorrelationHeader = value => String(value).split(';').reduce((correlation, pair) => {
+    const index = pair.indexOf('=');
+    if (index > -1) {
+        correlation[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+    }
+    return correlation;
+}, {});
+
+// Case-insensitive lookup; `name` in lower case.
+const headerValue = (headers, name) =>
+    headers[Object.keys(headers).find(key => key.toLowerCase() === name)];
+
+/** Credentials a request carried: `cookie`, `basic`, `cookie+basic` or `none`. */
+const authModeOf = (headers = {}) => {
+    const modes = [
+        /(^|;)\s*token=/.test(headerValue(headers, 'cookie') || '') && 'cookie',
+        /^Basic /i.test(headerValue(headers, 'authorization') || '') && 'basic'
+    ].filter(Boolean);
+    return modes.length > 0 ? modes.join('+') : 'none';
+};
+
+/**
+ * Collects one traffic-log line per HTTP attempt made in this test file.
+ * Flushed to the run directory after each file; the global teardown merges
+ * every worker's lines into the run's NDJSON traffic log.
+ */
+const createTrafficLog = () => {
+    const entries = [];
+
+    return {
+        entries,
+
+        record({ correlation, baseUrl, method, path: urlPath, query, headers, startedAt, status, error, durationMs, replayed }) {
+            entries.push({
+                timestamp: new Date(startedAt).toISOString(),
+                correlationId: correlation.id,
+                suite: correlation.suite,
+                test: correlation.test,
+                worker: correlation.worker,
+                baseUrl,
+                method: method.toUpperCase(),
+                path: urlPath,
+                route: endpointOf(method, urlPath),
+                ...(query && Object.keys(query).length > 0 && { query }),
+                auth: authModeOf(headers),
+                ...(status !== undefined && { status }),
+                ...(error !== undefined && { error: error.code || error.message }),
+                durationMs: Math.round(durationMs * 10) / 10,
+                ...(replayed && { replayed: true })
+            });
+        },
+
+        reset() {
+            entries.length = 0;
+        }
+    };
+};
+
+// One log per test file; every BookerClient in the file writes to it.
+const runTrafficLog = createTrafficLog();
+
+const flushTrafficLog = () => {
+    if (!runDir() || runTrafficLog.entries.length === 0) {
+        return;
+    }
+    const file = path.join(runDir(), `traffic-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.ndjson`);
+    fs.writeFileSync(file, runTrafficLog.entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    runTrafficLog.reset();
+};
+
+const readNdjson = file => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+/** Merges every worker's lines in time order into `file`; returns the line count. */
+const writeTrafficLog = (file, dir = runDir()) => {
+    const entries = dir && fs.existsSync(dir)
+        ? fs.readdirSync(dir)
+            .filter(name => /^traffic-\d+-.*\.ndjson$/.test(name))
+            .flatMap(name => readNdjson(path.join(dir, name)))
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+        : [];
+    fs.writeFileSync(file, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    return entries.length;
+};
+
+// `4xx` matches a whole class, `403` one status; `error` matches transport failures.
+const statusMatches = (entry, status) => {
+    if (status === 'error') return entry.error !== undefined;
+    if (/^\dxx$/i.test(status)) return entry.status !== undefined && String(entry.status)[0] === status[0];
+    return entry.status === Number(status);
+};
+
+/**
+ * Filters traffic-log entries. `test` and `suite` match substrings
+ * (case-insensitive); `route` matches the endpoint (`PUT /booking/:id`) or a
+ * path prefix (`/booking`); `status` is a code, a class like `4xx` or `error`;
+ * `id` is a correlation id.
+ */
+const filterTraffic = (entries, { test, suite, route, status, id } = {}) => {
+    const includes = (value, part) => String(value || '').toLowerCase().includes(part.toLowerCase());
+    return entries.filter(entry =>
+        (test === undefined || includes(entry.test, test)) &&
+        (suite === undefined || includes(entry.suite, suite)) &&
+        (route === undefined || entry.route.toLowerCase() === route.toLowerCase() || entry.path.startsWith(route)) &&
+        (status === undefined || statusMatches(entry, status)) &&
+        (id === undefined || entry.correlationId === id));
+};
+
+/** One aligned line per entry for terminal output. */
+const formatTraffic = entries => entries.map(entry => [
+    entry.timestamp,
+    String(entry.status || entry.error).padEnd(6),
+    `${entry.method} ${entry.path}`.padEnd(32),
+    `${entry.durationMs}ms`.padStart(9),
+    entry.correlationId,
+    `${entry.suite}${entry.test ? ` > ${entry.test}` : ''}`
+].join('  ')).join('\n');
+
+module.exports = {
+    CORRELATION_HEADER,
+    authModeOf,
+    filterTraffic,
+    flushTrafficLog,
+    formatCorrelationHeader,
+    formatTraffic,
+    headerValue,
+    nextCorrelation,
+    parseCorrelationHeader,
+    readNdjson,
+    runTrafficLog,
+    trafficLogPath,
+    writeTrafficLog
+};
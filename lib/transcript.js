@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { REDACTED, redactSecrets } = require('./config');
+
+// Only the latest exchanges of a test are kept; bodies are cut short.
+const MAX_EXCHANGES = 20;
+const MAX_BODY_CHARS = 10000;
+
+// Header values that carry credentials whatever the configured secrets are.
+const SENSITIVE_HEADERS = {
+    authorization: value => value.replace(/^(\w+) .*$/, `$1 ${REDACTED}`),
+    cookie: value => value.replace(/=[^;]*/g, `=${REDACTED}`),
+    'set-cookie': value => [].concat(value).map(cookie => cookie.replace(/=[^;]*/, `=${REDACTED}`))
+};
+
+// HTTP exchanges of the current test, read by jest.environment.js to attach
+// to a failure. The environment resets the list per test.
+const recordExchange = (exchange) => {
+    const transcript = globalThis.__BOOKER_TRANSCRIPT__;
+    if (Array.isArray(transcript)) {
+        transcript.push(exchange);
+        if (transcript.length > MAX_EXCHANGES) {
+            transcript.shift();
+        }
+    }
+};
+
+const truncate = text => (typeof text === 'string' && text.length > MAX_BODY_CHARS
+    ? `${text.slice(0, MAX_BODY_CHARS)}… (${text.length - MAX_BODY_CHARS} more characters)`
+    : text);
+
+const redactHeaders = (headers = {}, secrets) => Object.keys(headers).reduce((redacted, name) => {
+    const mask = SENSITIVE_HEADERS[name.toLowerCase()];
+    const value = mask ? mask(headers[name]) : headers[name];
+    redacted[name] = Array.isArray(value)
+        ? value.map(item => redactSecrets(String(item), secrets))
+        : redactSecrets(String(value), secrets);
+    return redacted;
+}, {});
+
+// Issued tokens, in JSON and XML bodies.
+const redactTokens = text => (typeof text === 'string'
+    ? text
+        .replace(/("token"\s*:\s*")[^"]*"/g, `$1${REDACTED}"`)
+        .replace(/<token>[^<]*<\/token>/g, `<token>${REDACTED}</token>`)
+    : text);
+
+const redactBody = (text, secrets) => truncate(redactTokens(redactSecrets(text, secrets)));
+
+/** Copy of `exchange` with credentials and tokens masked and bodies truncated. */
+const redactExchange = (exchange, secrets) => ({
+    ...exchange,
+    url: redactSecrets(exchange.url, secrets),
+    requestHeaders: redactHeaders(exchange.requestHeaders, secrets),
+    requestBody: redactBody(exchange.requestBody, secrets),
+    responseHeaders: redactHeaders(exchange.responseHeaders, secrets),
+    responseBody: redactBody(exchange.responseBody, secrets)
+});
+
+const shellQuote = value => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+/** Command reproducing the request; masked credentials must be filled in by hand. */
+const toCurl = ({ method, url, requestHeaders = {}, requestBody }) => [
+    `curl -i -X ${method} ${shellQuote(url)}`,
+    ...Object.keys(requestHeaders).map(name => `-H ${shellQuote(`${name}: ${requestHeaders[name]}`)}`),
+    ...(requestBody === undefined ? [] : [`--data-raw ${shellQuote(requestBody)}`])
+].join(' \\\n  ');
+
+const headerLines = (prefix, headers = {}) => Object.keys(headers).flatMap(name =>
+    [].concat(headers[name]).map(value => `${prefix} ${name}: ${value}`));
+
+const formatExchange = (exchange, index) => {
+    const outcome = exchange.error ? `failed (${exchange.error})` : `→ ${exchange.status}`;
+    return [
+        `#${index + 1} ${exchange.method} ${exchange.url} ${outcome} in ${Math.round(exchange.durationMs)}ms`,
+        ...headerLines('>', exchange.requestHeaders),
+        ...(exchange.requestBody === undefined ? [] : ['>', `> ${exchange.requestBody}`]),
+        ...(exchange.error ? [] : [
+            `< ${exchange.status}`,
+            ...headerLines('<', exchange.responseHeaders),
+            ...(exchange.responseBody ? ['<', `< ${exchange.responseBody}`] : [])
+        ]),
+        '',
+        `$ ${toCurl(exchange)}`
+    ].join('\n');
+};
+
+/** Plain-text transcript of a test's exchanges, oldest first. */
+const formatTranscript = exchanges =>
+    `HTTP transcript (${exchanges.length} ${exchanges.length === 1 ? 'request' : 'requests'}):\n\n` +
+    exchanges.map(formatExchange).join('\n\n');
+
+// One NDJSON file per test file in the run directory, written by the worker
+// running it and read by the reporter once the file is done.
+const transcriptFile = (dir, testPath) =>
+    path.join(dir, `transcripts-${crypto.createHash('sha1').update(testPath).digest('hex').slice(0, 12)}.ndjson`);
+
+const writeTranscript = (dir, testPath, entry) => {
+    fs.appendFileSync(transcriptFile(dir, testPath), `${JSON.stringify(entry)}\n`);
+};
+
+const readTranscripts = (dir, testPath) => {
+    const file = dir && transcriptFile(dir, testPath);
+    if (!file || !fs.existsSync(file)) {
+        return [];
+    }
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+};
+
+const sameTest = (entry, result) =>
+    entry.title === result.title && entry.ancestorTitles.join('\u0000') === result.ancestorTitles.join('\u0000');
+
+/**
+ * Appends each failing test's transcript to its failure messages, so
+ * reporters that print them show it. Returns the updated file result and
+ * the transcripts found, `{ fullName, exchanges }` with a curl per exchange.
+ */
+const attachTranscripts = (fileResult, entries) => {
+    const attached = [];
+    const testResults = fileResult.testResults.map((result) => {
+        const entry = result.status === 'failed' && entries.find(candidate => sameTest(candidate, result));
+        if (!entry) {
+            return result;
+        }
+        attached.push({
+            fullName: result.fullName,
+            exchanges: entry.exchanges.map(exchange => ({ ...exchange, curl: toCurl(exchange) }))
+        });
+        return { ...result, failureMessages: [...result.failureMessages, formatTranscript(entry.exchanges)] };
+    });
+    return { fileResult: { ...fileResult, testResults }, attached };
+};
+
+module.exports = {
+    MAX_EXCHANGES,
+    attachTranscripts,
+    formatTranscript,
+    readTranscripts,
+    recordExchange,
+    redactExchange,
+    toCurl,
+    writeTranscript
+};
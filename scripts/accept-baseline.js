@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// Stores the latest performance results as the baseline for their target.
+//
+//   node scripts/accept-baseline.js [results.json]
+const { acceptBaseline } = require('../lib/baseline');
+
+const resultsPath = process.argv[2] || process.env.PERF_RESULTS_PATH || './performance-results.json';
+
+try {
+    const { key, endpoints, skipped } = acceptBaseline({ resultsPath });
+    console.log(`Accepted ${resultsPath} as the baseline for "${key}" (${endpoints.length} endpoints)`);
+    if (skipped.length > 0) {
+        console.log(`Left out for too few samples: ${skipped.join(', ')}`);
+    }
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// RATE_LIMIT=<requests>/<seconds> (e.g. 100/60) turns on throttling and
+// TOKEN_TTL=<seconds> makes auth tokens expire.
+// `--profile <name>` picks whose credentials it accepts.
+const { startEmulator } = require('../lib/emulator/server');
+const { useProfileFlag } = require('../lib/config');
+
+useProfileFlag(process.argv.slice(2));
+
+const port = Number(process.env.PORT || 3001);
+const host = process.env.HOST || '127.0.0.1';
+
+const parseRateLimit = (value) => {
+    if (!value) return undefined;
+    const match = /^(\d+)\/(\d+(?:\.\d+)?)$/.exec(value);
+    if (!match) throw new Error(`RATE_LIMIT must look like <requests>/<seconds>, got "${value}"`);
+    return { limit: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+};
+
+const tokenTtlMs = process.env.TOKEN_TTL ? Number(process.env.TOKEN_TTL) * 1000 : undefined;
+if (tokenTtlMs !== undefined && !(tokenTtlMs > 0)) {
+    throw new Error(`TOKEN_TTL must be a positive number of seconds, got "${process.env.TOKEN_TTL}"`);
+}
+
+startEmulator({ port, host, rateLimit: parseRateLimit(process.env.RATE_LIMIT), tokenTtlMs }).then((emulator) => {
+    console.log(`Restful-Booker emulator listening on ${emulator.url}`);
+
+    const shutdown = () => emulator.close().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+});
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Runs a declarative load scenario (see load/*.json) and prints throughput,
+// latency percentiles and errors per reporting interval.
+//
+//   node scripts/load-runner.js <scenario.json> [--profile <name>] [--base-url <url>]
+//       [--emulator] [--duration <s>] [--vus <n>] [--rate <n>] [--out <report.json>]
+//
+// Targets the profile's base URL (see lib/config.js) unless --base-url or
+// --emulator is given.
+const fs = require('fs');
+const { loadConfig, useProfileFlag } = require('../lib/config');
+const { loadScenario, normalizeScenario } = require('../lib/load/scenario');
+const { formatInterval, formatReport, runScenario } = require('../lib/load/runner');
+const { startEmulator } = require('../lib/emulator/server');
+
+const parseArgs = (argv) => {
+    const args = { overrides: {} };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--base-url') args.baseUrl = argv[++i];
+        else if (argv[i] === '--emulator') args.emulator = true;
+        else if (argv[i] === '--out') args.out = argv[++i];
+        else if (argv[i] === '--duration') args.overrides.durationSeconds = Number(argv[++i]);
+        else if (argv[i] === '--vus') args.overrides.virtualUsers = Number(argv[++i]);
+        else if (argv[i] === '--rate') args.overrides.arrivalRate = Number(argv[++i]);
+        else if (argv[i].startsWith('--')) throw new Error(`Unknown argument "${argv[i]}"`);
+        else if (!args.file) args.file = argv[i];
+        else throw new Error(`Unexpected argument "${argv[i]}"`);
+    }
+    if (!args.file) throw new Error('Usage: node scripts/load-runner.js <scenario.json> [options]');
+    return args;
+};
+
+const main = async () => {
+    const { file, baseUrl, emulator: useEmulator, out, overrides } = parseArgs(useProfileFlag(process.argv.slice(2)));
+    loadConfig(); // fail fast on an incomplete profile
+    const scenario = normalizeScenario({ ...loadScenario(file), ...overrides });
+    const emulator = useEmulator ? await startEmulator() : undefined;
+
+    try {
+        const report = await runScenario(scenario, {
+            baseUrl: emulator ? emulator.url : baseUrl,
+            onInterval: interval => console.log(formatInterval(interval))
+        });
+        console.log(`\n${formatReport(report)}`);
+        if (out) {
+            fs.writeFileSync(out, `${JSON.stringify(report, null, 2)}\n`);
+            console.log(`\nReport written to ${out}`);
+        }
+    } finally {
+        if (emulator) await emulator.close();
+    }
+};
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Finds bookings whose names carry the test tag and deletes them.
+//
+//   node scripts/purge-bookings.js [--profile <name>] [--dry-run] [--tag <tag>] [--concurrency <n>]
+//
+// Targets the profile's base URL (see lib/config.js).
+const { BookerClient } = require('../lib/client');
+const { describeConfig, loadConfig, useProfileFlag } = require('../lib/config');
+const { TEST_TAG, isTagged } = require('../lib/cleanup');
+
+const parseArgs = (argv) => {
+    const args = { dryRun: false, tag: TEST_TAG, concurrency: 5 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') args.dryRun = true;
+        else if (argv[i] === '--tag') args.tag = argv[++i];
+        else if (argv[i] === '--concurrency') args.concurrency = Number(argv[++i]);
+        else throw new Error(`Unknown argument "${argv[i]}"`);
+    }
+    if (!args.tag) throw new Error('--tag needs a value');
+    if (!(args.concurrency > 0)) throw new Error('--concurrency must be a positive number');
+    return args;
+};
+
+// Runs `worker` over `items` with at most `limit` in flight.
+const mapWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const run = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index]);
+        }
+    };
+    await Promise.all(Array(Math.min(limit, items.length)).fill().map(run));
+    return results;
+};
+
+const main = async () => {
+    const { dryRun, tag, concurrency } = parseArgs(useProfileFlag(process.argv.slice(2)));
+    console.log(describeConfig(loadConfig()));
+    const client = new BookerClient({ registry: null });
+
+    const { status, body } = await client.listBookings();
+    if (status !== 200) {
+        throw new Error(`GET /booking returned HTTP ${status}`);
+    }
+
+    console.log(`Scanning ${body.length} bookings on ${client.baseUrl} for tag "${tag}"...`);
+
+    const tagged = (await mapWithConcurrency(body, concurrency, async ({ bookingid }) => {
+        const booking = await client.getBooking(bookingid);
+        return booking.status === 200 && isTagged(booking.body, tag) ? { bookingid, booking: booking.body } : undefined;
+    })).filter(Boolean);
+
+    if (dryRun) {
+        tagged.forEach(({ bookingid, booking }) =>
+            console.log(`  would delete ${bookingid}: ${booking.firstname} ${booking.lastname}`));
+        console.log(`${tagged.length} tagged bookings found (dry run, nothing deleted)`);
+        return;
+    }
+
+    const outcomes = await mapWithConcurrency(tagged, concurrency, async ({ bookingid }) => {
+        const result = await client.deleteBooking(bookingid, { auth: 'basic' });
+        return { bookingid, status: result.status };
+    });
+
+    const failed = outcomes.filter(({ status: code }) => code !== 201 && code !== 404 && code !== 405);
+    console.log(`Deleted ${outcomes.length - failed.length} of ${tagged.length} tagged bookings`);
+    failed.forEach(({ bookingid, status: code }) => console.log(`  - booking ${bookingid}: HTTP ${code}`));
+
+    if (failed.length > 0) {
+        process.exitCode = 1;
+    }
+};
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
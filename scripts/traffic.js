@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Filters the NDJSON traffic log written by the last test run.
+//
+//   node scripts/traffic.js [--file <path>] [--test <text>] [--suite <text>] [--route <route>]
+//                           [--status <code|4xx|error>] [--id <correlation id>] [--json]
+//
+// Reads TRAFFIC_LOG_PATH (default ./traffic-log.ndjson) unless --file is given.
+const fs = require('fs');
+const { filterTraffic, formatTraffic, readNdjson, trafficLogPath } = require('../lib/tracing');
+
+const FILTERS = ['test', 'suite', 'route', 'status', 'id'];
+
+const parseArgs = (argv) => {
+    const args = { file: trafficLogPath(), json: false, filters: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (argv[i] === '--json') args.json = true;
+        else if (argv[i] === '--file') args.file = argv[++i];
+        else if (argv[i].startsWith('--') && FILTERS.includes(name)) args.filters[name] = argv[++i];
+        else throw new Error(`Unknown argument "${argv[i]}"`);
+    }
+    if (!args.file) throw new Error('--file needs a value');
+    const missing = FILTERS.find(name => name in args.filters && !args.filters[name]);
+    if (missing) throw new Error(`--${missing} needs a value`);
+    return args;
+};
+
+const main = async () => {
+    const { file, json, filters } = parseArgs(process.argv.slice(2));
+    if (!fs.existsSync(file)) {
+        throw new Error(`No traffic log at ${file}; run the tests first`);
+    }
+
+    const entries = filterTraffic(readNdjson(file), filters);
+
+    if (json) {
+        entries.forEach(entry => console.log(JSON.stringify(entry)));
+        return;
+    }
+    if (entries.length > 0) {
+        console.log(formatTraffic(entries));
+    }
+    console.log(`${entries.length} matching requests in ${file}`);
+};
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
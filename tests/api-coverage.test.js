@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    buildApiCoverage,
+    checkApiCoverage,
+    formatApiCoverage,
+    renderApiCoverageHtml,
+    writeApiCoverage
+} = require('../lib/api-coverage');
+
+describe('API Coverage', () => {
+    const entry = (method, urlPath, status, overrides = {}) => ({ method, path: urlPath, status, auth: 'none', ...overrides });
+    const entries = [
+        entry('GET', '/booking', 200, { query: { firstname: 'Ada', checkout: '2024-01-05' } }),
+        entry('GET', '/booking', 200),
+        entry('PATCH', '/booking/7', 200, { auth: 'basic' }),
+        entry('PATCH', '/booking/7', 403),
+        entry('PUT', '/booking/7', 200, { auth: 'cookie+basic' }),
+        entry('PUT', '/booking/7', undefined, { error: 'ECONNRESET', auth: 'cookie' }),
+        entry('GET', '/booking/7', 502),
+        entry('GET', '/admin', 200)
+    ];
+    const rowOf = (coverage, operation) => coverage.operations.find(row => row.operation === operation);
+
+    const cellOf = (coverage, operation, cell) => rowOf(coverage, operation).cells.find(candidate =>
+        candidate.query === (cell.query || 'none') && candidate.auth === cell.auth && candidate.status === cell.status);
+
+    test('Count query parameter × auth mode × status combinations per operation', () => {
+        const coverage = buildApiCoverage(entries);
+
+        expect(rowOf(coverage, 'GET /booking').requests).toBe(2);
+        expect(cellOf(coverage, 'GET /booking', { status: '200' }).count).toBe(1);
+        expect(cellOf(coverage, 'GET /booking', { query: 'firstname', status: '200' }).count).toBe(1);
+        expect(cellOf(coverage, 'GET /booking', { query: 'lastname', status: '200' }).count).toBe(0);
+        expect(cellOf(coverage, 'PATCH /booking/{id}', { auth: 'basic', status: '200' }).count).toBe(1);
+        expect(cellOf(coverage, 'PATCH /booking/{id}', { auth: 'none', status: '403' }).count).toBe(1);
+        expect(rowOf(coverage, 'PUT /booking/{id}').cells).toHaveLength(7 * 3);
+    });
+
+    test('Leave combinations no request made uncovered, even when each part was seen', () => {
+        const coverage = buildApiCoverage([
+            entry('PATCH', '/booking/7', 200, { auth: 'basic' }),
+            entry('PATCH', '/booking/7', 403, { auth: 'cookie' })
+        ]);
+
+        expect(coverage.uncovered).toContain('PATCH /booking/{id} auth none → 403');
+        expect(coverage.uncovered).toContain('PATCH /booking/{id} auth cookie → 200');
+        expect(coverage.uncovered).not.toContain('PATCH /booking/{id} auth cookie → 403');
+    });
+
+    test('Leave transport errors and traffic outside the spec uncounted', () => {
+        const coverage = buildApiCoverage(entries);
+
+        expect(rowOf(coverage, 'GET /booking/{id}')).toMatchObject({ requests: 1 });
+        expect(rowOf(coverage, 'GET /booking/{id}').cells.every(cell => cell.count === 0)).toBe(true);
+        expect(rowOf(coverage, 'PUT /booking/{id}').cells.every(cell => cell.count === 0)).toBe(true);
+        expect(coverage.uncovered).toContain('GET /booking/{id} → 200');
+        expect(coverage.uncovered).not.toContain('GET /booking ?firstname → 200');
+        expect(coverage.covered + coverage.uncovered.length).toBe(coverage.total);
+    });
+
+    test('Count only traffic to the given target', () => {
+        const target = 'http://127.0.0.1:3001';
+        const coverage = buildApiCoverage([
+            entry('GET', '/booking', 200, { baseUrl: target }),
+            entry('GET', '/booking', 429, { baseUrl: 'http://127.0.0.1:40123' })
+        ], { baseUrl: target });
+
+        expect(coverage.baseUrl).toBe(target);
+        expect(rowOf(coverage, 'GET /booking').requests).toBe(1);
+        expect(cellOf(coverage, 'GET /booking', { status: '429' }).count).toBe(0);
+    });
+
+    test('Fail the gate only below the minimum', () => {
+        const coverage = buildApiCoverage(entries);
+
+        expect(formatApiCoverage(coverage)).toMatch(new RegExp(`^API coverage: ${coverage.covered} of ${coverage.total} .*\\(${coverage.percent}%\\)`));
+        expect(checkApiCoverage(coverage, undefined)).toBeUndefined();
+        expect(checkApiCoverage(coverage, coverage.percent)).toBeUndefined();
+        expect(checkApiCoverage(coverage, 100)).toMatch(new RegExp(`^API coverage ${coverage.percent}% is below API_COVERAGE_MIN 100%; not covered:\\n  - POST /auth → 200`));
+    });
+
+    test('Highlight uncovered items in the HTML matrix', () => {
+        const html = renderApiCoverageHtml(buildApiCoverage(entries));
+
+        expect(html).toContain('<td>PATCH /booking/{id}</td><td>2</td>');
+        expect(html).toContain('<span class="covered" title="1 requests">auth basic → 200 ×1</span>');
+        expect(html).toContain('<span class="uncovered" title="not covered">auth cookie → 200</span>');
+    });
+
+    test('Write the JSON matrix and the HTML page side by side', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'booker-api-coverage-'));
+        try {
+            const coverage = writeApiCoverage(entries, path.join(dir, 'coverage.json'));
+
+            expect(JSON.parse(fs.readFileSync(path.join(dir, 'coverage.json'), 'utf8'))).toEqual(coverage);
+            expect(fs.readFileSync(path.join(dir, 'coverage.html'), 'utf8')).toMatch(/^<!DOCTYPE html>/);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
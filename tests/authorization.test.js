@@ -0,0 +1,82 @@
+const { CREDENTIALS, ROUTES, createCoverageGrid, matrixCases } = require('../lib/auth-matrix');
+const { BookerClient } = require('../lib/client');
+const { createManualClock } = require('../lib/clock');
+const { loadConfig } = require('../lib/config');
+const { startEmulator } = require('../lib/emulator/server');
+const { createBookingFactory } = require('../lib/factory');
+const { createTokenManager } = require('../lib/tokens');
+
+// Expired tokens need a server whose clock the test controls, so against the
+// emulator the matrix gets its own instance; a remote target skips them.
+const LOCAL = loadConfig().target === 'emulator';
+const TOKEN_TTL = 10 * 60 * 1000;
+
+describe('Authorization Matrix', () => {
+    const factory = createBookingFactory();
+    const grid = createCoverageGrid();
+    const session = {};
+    let emulator;
+    let client;
+
+    beforeAll(async () => {
+        if (LOCAL) {
+            const clock = createManualClock();
+            emulator = await startEmulator({ tokenTtlMs: TOKEN_TTL, now: clock.now });
+            client = new BookerClient({ baseUrl: emulator.url, registry: null, tokens: createTokenManager() });
+            session.expiredToken = (await client.auth()).token;
+            clock.advance(TOKEN_TTL);
+        } else {
+            client = new BookerClient();
+        }
+        session.credentials = client.credentials;
+        session.token = (await client.auth()).token;
+    });
+
+    afterAll(async () => {
+        console.log(`Authorization coverage:\n${grid.format()}`);
+        if (emulator) {
+            await emulator.close();
+        }
+    });
+
+    // Cells a remote target cannot produce are reported by Jest as skipped.
+    const title = '%s with %s → %i';
+    const cases = matrixCases();
+    const skipped = LOCAL ? [] : cases.filter(([, credential]) => credential === 'expired token');
+    skipped.forEach(([route, credential]) => grid.skip(route, credential));
+
+    if (skipped.length) {
+        test.skip.each(skipped)(title, () => {});
+    }
+
+    test.each(cases.filter(row => !skipped.includes(row)))(title, async (route, credential, expected) => {
+        const headers = CREDENTIALS[credential](session);
+        const { body: { bookingid } } = await client.createBooking(factory.valid());
+
+        const { status } = await ROUTES[route](client, bookingid, headers, factory.valid({ firstname: "Matrix" }));
+        grid.record(route, credential, status);
+
+        expect(status).toBe(expected);
+    });
+
+    describe('Coverage grid', () => {
+        test('Mark failures, skips and uncovered pairs', () => {
+            const partial = createCoverageGrid({ 'PATCH /booking/:id': { 'none': 403, 'valid basic': 200, 'expired token': 403 } });
+            partial.record('PATCH /booking/:id', 'none', 200);
+            partial.record('PATCH /booking/:id', 'valid basic', 200);
+            partial.skip('PATCH /booking/:id', 'expired token');
+
+            expect(partial.cell('PATCH /booking/:id', 'none')).toBe('FAIL 200≠403');
+            expect(partial.cell('PATCH /booking/:id', 'valid basic')).toBe('ok 200');
+            expect(partial.cell('PATCH /booking/:id', 'expired token')).toBe('skip');
+            expect(partial.cell('PUT /booking/:id', 'none')).toBe('--');
+            expect(partial.gaps()).toContain('DELETE /booking/:id × valid cookie');
+            expect(partial.format()).toMatch(/^route\s+valid cookie\s+valid basic/);
+            expect(partial.format()).toMatch(/Not covered: PUT \/booking\/:id × valid cookie/);
+        });
+
+        test('Cover every protected route with every credential kind', () => {
+            expect(createCoverageGrid().gaps()).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { acceptBaseline, baselineGateEnabled, compareToBaseline, formatComparison, loadBaseline } = require('../lib/baseline');
+
+describe('Performance Baseline', () => {
+    const tolerances = { tolerance: 0.5, toleranceMs: 10, errorRateTolerance: 0 };
+    const baseline = { p50: 100, p95: 200, p99: 300, errorRate: 0 };
+
+    test('Pass metrics within the tolerance', () => {
+        const rows = compareToBaseline(baseline, { p50: 160, p95: 310, p99: 300, errorRate: 0 }, tolerances);
+
+        expect(rows.filter(row => row.regressed)).toEqual([]);
+    });
+
+    test('Flag metrics beyond the tolerance', () => {
+        const rows = compareToBaseline(baseline, { p50: 90, p95: 311, p99: 900, errorRate: 0.05 }, tolerances);
+
+        expect(rows.filter(row => row.regressed).map(row => row.metric)).toEqual(['p95', 'p99', 'errorRate']);
+    });
+
+    test('Fail a run with too few samples to compare', () => {
+        const rows = compareToBaseline({ ...baseline, count: 30 }, { p50: 100, p95: 200, p99: 300, errorRate: 0, count: 1 }, { ...tolerances, minSamples: 20 });
+
+        expect(rows[0]).toEqual({ metric: 'count', baseline: 30, current: 1, limit: 20, regressed: true });
+        expect(rows.filter(row => row.regressed).map(row => row.metric)).toEqual(['count']);
+    });
+
+    test('Gate by default and only opt out with PERF_BASELINE_GATE=0', () => {
+        const previous = process.env.PERF_BASELINE_GATE;
+        try {
+            delete process.env.PERF_BASELINE_GATE;
+            expect(baselineGateEnabled()).toBe(true);
+            process.env.PERF_BASELINE_GATE = '0';
+            expect(baselineGateEnabled()).toBe(false);
+        } finally {
+            if (previous === undefined) delete process.env.PERF_BASELINE_GATE;
+            else process.env.PERF_BASELINE_GATE = previous;
+        }
+    });
+
+    test('Render a side-by-side comparison', () => {
+        const table = formatComparison('GET /booking', compareToBaseline(baseline, { p50: 100, p95: 600, p99: 300, errorRate: 0 }, tolerances));
+
+        expect(table.split('\n')).toEqual([
+            'GET /booking',
+            'metric     baseline  current  change  limit',
+            'p50             100      100     +0%    160         ok',
+            'p95             200      600   +200%    310  REGRESSED',
+            'p99             300      300     +0%    460         ok',
+            'errorRate         0        0              0         ok'
+        ]);
+    });
+
+    test('Accept a results file as the baseline for its target, leaving out sparse endpoints', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'booker-baseline-'));
+        const resultsPath = path.join(dir, 'results.json');
+        const file = path.join(dir, 'baseline.json');
+        fs.writeFileSync(file, JSON.stringify({ 'https://example.test': { endpoints: {} } }));
+        fs.writeFileSync(resultsPath, JSON.stringify({
+            target: 'emulator',
+            generatedAt: '2024-01-01T00:00:00.000Z',
+            suites: {
+                'performance.test.js': {
+                    'GET /ping': { count: 30, errorRate: 0, min: 1, p50: 2, p90: 3, p95: 3, p99: 3, max: 3 },
+                    'PUT /booking/:id': { count: 1, errorRate: 0, min: 4, p50: 4, p90: 4, p95: 4, p99: 4, max: 4 }
+                }
+            }
+        }));
+
+        try {
+            expect(acceptBaseline({ resultsPath, file, minSamples: 20 })).toEqual({
+                key: 'emulator',
+                endpoints: ['GET /ping'],
+                skipped: ['PUT /booking/:id']
+            });
+            expect(loadBaseline(file)).toEqual({
+                'https://example.test': { endpoints: {} },
+                emulator: {
+                    acceptedAt: '2024-01-01T00:00:00.000Z',
+                    endpoints: { 'GET /ping': { count: 30, errorRate: 0, p50: 2, p95: 3, p99: 3 } }
+                }
+            });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
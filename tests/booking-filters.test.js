@@ -0,0 +1,89 @@
+const { BookerClient } = require('../lib/client');
+const {
+    expectedIds,
+    filterBookings,
+    filterCombinations,
+    filterValues,
+    matchesFilters
+} = require('../lib/booking-filters');
+
+describe('Booking Filters', () => {
+    const client = new BookerClient({ format: 'json' });
+    const bookings = filterBookings();
+    const [ada, , lowerAda, , special, plus] = bookings;
+    const seeded = [];
+
+    // Of the ids returned only the seeded ones are compared: date-only
+    // queries also match bookings other tests and users made.
+    const listSeeded = async (filters) => {
+        const { status, body } = await client.listBookings(filters);
+        expect(status).toBe(200);
+        const ids = seeded.map(({ bookingid }) => bookingid);
+        return body.map(({ bookingid }) => bookingid).filter(id => ids.includes(id)).sort((a, b) => a - b);
+    };
+
+    beforeAll(async () => {
+        for (const booking of bookings) {
+            const { status, body } = await client.createBooking(booking);
+            expect(status).toBe(200);
+            seeded.push({ bookingid: body.bookingid, booking });
+        }
+    });
+
+    test.each(filterCombinations(filterValues(bookings)).map(filters => [JSON.stringify(filters), filters]))(
+        'Return exactly the oracle\'s bookings for %s',
+        async (description, filters) => {
+            expect(await listSeeded(filters)).toEqual(expectedIds(seeded, filters));
+        }
+    );
+
+    test('Return only the tagged bookings for a name filter', async () => {
+        const { body } = await client.listBookings({ firstname: ada.firstname, lastname: ada.lastname });
+
+        expect(body.map(({ bookingid }) => bookingid).sort((a, b) => a - b))
+            .toEqual(expectedIds(seeded, { firstname: ada.firstname, lastname: ada.lastname }));
+        expect(body).toHaveLength(2);
+    });
+
+    test('Match names case-sensitively', async () => {
+        expect(await listSeeded({ firstname: lowerAda.firstname })).toEqual(expectedIds(seeded, { firstname: lowerAda.firstname }));
+        expect(await listSeeded({ firstname: ada.firstname.toUpperCase() })).toEqual([]);
+        expect(await listSeeded({ firstname: ` ${ada.firstname}` })).toEqual([]);
+    });
+
+    test('Decode URL-special characters in names', async () => {
+        expect(await listSeeded({ firstname: special.firstname, lastname: special.lastname }))
+            .toEqual(expectedIds(seeded, { firstname: special.firstname }));
+        expect(await listSeeded({ firstname: plus.firstname })).toEqual(expectedIds(seeded, { firstname: plus.firstname }));
+        expect(expectedIds(seeded, { firstname: plus.firstname })).toHaveLength(1);
+    });
+
+    test('Include bookings on the boundary date and exclude the day before', async () => {
+        const onOrAfter = await listSeeded({ checkin: ada.bookingdates.checkin, lastname: ada.lastname });
+        const idOf = booking => seeded.find(entry => entry.booking === booking).bookingid;
+
+        expect(onOrAfter).toContain(idOf(ada));
+        expect(onOrAfter).not.toContain(idOf(bookings[1]));
+        expect(await listSeeded({ checkout: '2031-03-15', firstname: ada.firstname }))
+            .toEqual([idOf(ada), idOf(bookings[3])].sort((a, b) => a - b));
+    });
+
+    describe('Oracle', () => {
+        const booking = { firstname: "Ada", lastname: "Lovelace", bookingdates: { checkin: "2031-03-10", checkout: "2031-03-15" } };
+
+        test('Treat both dates as inclusive lower bounds', () => {
+            expect(matchesFilters(booking, { checkin: '2031-03-10' })).toBe(true);
+            expect(matchesFilters(booking, { checkin: '2031-03-11' })).toBe(false);
+            expect(matchesFilters(booking, { checkout: '2031-03-15' })).toBe(true);
+            expect(matchesFilters(booking, { checkout: '2031-03-16' })).toBe(false);
+            expect(matchesFilters(booking, { firstname: "ada" })).toBe(false);
+        });
+
+        test('Cover every combination of the four filters', () => {
+            const combinations = filterCombinations(filterValues(bookings));
+
+            expect(combinations).toHaveLength(3 ** 4 - 1);
+            expect(new Set(combinations.map(filters => Object.keys(filters).sort().join('+'))).size).toBe(2 ** 4 - 1);
+        });
+    });
+});
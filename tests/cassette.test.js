@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BookerClient } = require('../lib/client');
+const { createBookingFactory } = require('../lib/factory');
+const { cassetteFileName, createCassetteDeck, formatCassetteReport } = require('../lib/cassette');
+
+describe('Record and Replay', () => {
+    const booking = createBookingFactory().valid();
+    const suite = 'example.test.js';
+    let dir;
+
+    const recordingClient = deck => new BookerClient({ cassette: deck, registry: null, timings: null });
+    // Nothing listens on port 9: replays must never reach the network.
+    const replayingClient = deck => new BookerClient({ baseUrl: 'http://127.0.0.1:9', cassette: deck, timings: null });
+
+    const readCassette = () => JSON.parse(fs.readFileSync(
+        path.join(dir, suite, cassetteFileName(expect.getState().currentTestName)), 'utf8'));
+
+    // Records a create/get/delete round trip for the current test.
+    const record = async () => {
+        const deck = createCassetteDeck({ mode: 'record', dir, suite });
+        const client = recordingClient(deck);
+        const { body } = await client.createBooking(booking);
+        await client.getBooking(body.bookingid);
+        await client.deleteBooking(body.bookingid, { auth: 'basic' });
+        deck.flush();
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'booker-cassettes-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('Store booking ids and tokens as placeholders and credentials as hashes', async () => {
+        const deck = createCassetteDeck({ mode: 'record', dir, suite });
+        const client = recordingClient(deck);
+        const { body } = await client.createBooking(booking);
+        await client.patchBooking(body.bookingid, { totalprice: 5 });
+        deck.flush();
+
+        const text = JSON.stringify(readCassette());
+        const [create, auth, patch] = readCassette().interactions;
+
+        expect(create.response.body.bookingid).toBe('{{bookingid:1}}');
+        expect(auth.request.body.password).toMatch(/^<redacted:[0-9a-f]+>$/);
+        expect(auth.response.body.token).toBe('{{token:1}}');
+        expect(patch.request.path).toBe('/booking/{{bookingid:1}}');
+        expect(patch.request.headers.cookie).toBe('token={{token:1}}');
+        expect(text).not.toContain(client.credentials.password);
+    });
+
+    test('Replay recorded responses offline with stable ids', async () => {
+        await record();
+
+        const client = replayingClient(createCassetteDeck({ mode: 'replay', dir, suite }));
+        const created = await client.createBooking(booking);
+        const fetched = await client.getBooking(created.body.bookingid);
+        const deleted = await client.deleteBooking(created.body.bookingid, { auth: 'basic' });
+
+        expect(created.status).toBe(200);
+        expect(created.body.bookingid).toBe(9000001);
+        expect(fetched.body).toEqual(booking);
+        expect(fetched).toMatchContract('booking');
+        expect(deleted.status).toBe(201);
+    });
+
+    test('Fail requests that were not recorded and report them', async () => {
+        await record();
+        const deck = createCassetteDeck({ mode: 'replay', dir, suite });
+        const client = replayingClient(deck);
+
+        await expect(client.createBooking({ ...booking, firstname: "Someone else" }))
+            .rejects.toThrow(/No recorded interaction for POST \/booking[\s\S]*recorded for the same route/);
+
+        expect(deck.unmatched).toHaveLength(1);
+        expect(deck.unused()).toHaveLength(3);
+        expect(formatCassetteReport([{ suite, unmatched: deck.unmatched, unused: deck.unused() }]))
+            .toMatch(/^Cassette replay: 1 unmatched requests, 3 recorded interactions not replayed/);
+    });
+
+    test('Replay transport errors', async () => {
+        const deck = createCassetteDeck({ mode: 'record', dir, suite });
+        await expect(new BookerClient({ baseUrl: 'http://127.0.0.1:9', cassette: deck, retry: false, timings: null }).ping())
+            .rejects.toMatchObject({ code: 'ECONNREFUSED' });
+        deck.flush();
+
+        await expect(replayingClient(createCassetteDeck({ mode: 'replay', dir, suite })).ping({ retry: false }))
+            .rejects.toMatchObject({ code: 'ECONNREFUSED' });
+    });
+
+    test('Hand recorded seeds back in order', () => {
+        fs.mkdirSync(path.join(dir, suite));
+        fs.writeFileSync(path.join(dir, suite, '_suite.json'), JSON.stringify({ suite, seeds: [11, 22] }));
+        const deck = createCassetteDeck({ mode: 'replay', dir, suite });
+
+        expect([deck.nextSeed(), deck.nextSeed(), deck.nextSeed()]).toEqual([11, 22, undefined]);
+    });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BookerClient } = require('../lib/client');
+const { createBookingFactory } = require('../lib/factory');
+const { createCleanupRegistry, formatCleanupSummary, isTagged } = require('../lib/cleanup');
+
+describe('Booking Cleanup Registry', () => {
+    const factory = createBookingFactory();
+    let dir;
+    let registry;
+    let client;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'booker-cleanup-'));
+        registry = createCleanupRegistry(path.join(dir, 'created.ndjson'));
+        client = new BookerClient({ registry });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('Record created bookings with the test that created them', async () => {
+        const { body } = await client.createBooking(factory.valid());
+
+        expect(registry.pending()).toEqual([{
+            bookingid: body.bookingid,
+            test: {
+                suite: 'cleanup.test.js',
+                name: 'Booking Cleanup Registry Record created bookings with the test that created them'
+            }
+        }]);
+    });
+
+    test('Forget bookings the test deleted itself', async () => {
+        const { body } = await client.createBooking(factory.valid());
+        await client.deleteBooking(body.bookingid, { auth: 'basic' });
+
+        expect(registry.pending()).toEqual([]);
+    });
+
+    test('Delete pending bookings and report what could not be removed', async () => {
+        const kept = await client.createBooking(factory.valid());
+        const gone = await client.createBooking(factory.valid());
+        await new BookerClient({ registry: null }).deleteBooking(gone.body.bookingid, { auth: 'basic' });
+
+        const denied = await registry.cleanup(client, { auth: { token: 'not-a-token' } });
+        expect(denied.failed.map(({ bookingid, reason }) => [bookingid, reason])).toEqual([
+            [kept.body.bookingid, 'HTTP 403'],
+            [gone.body.bookingid, 'HTTP 403']
+        ]);
+        expect(formatCleanupSummary(denied)).toMatch(
+            new RegExp(`booking ${kept.body.bookingid} from "cleanup.test.js > .*": HTTP 403`)
+        );
+
+        const summary = await registry.cleanup(client);
+        expect(summary.removed.map(({ bookingid }) => bookingid)).toEqual([kept.body.bookingid]);
+        expect(summary.alreadyGone.map(({ bookingid }) => bookingid)).toEqual([gone.body.bookingid]);
+        expect(registry.pending()).toEqual([]);
+        expect((await client.getBooking(kept.body.bookingid)).status).toBe(404);
+    });
+
+    test('Recognise tagged test bookings', () => {
+        expect(isTagged(factory.valid())).toBe(true);
+        expect(isTagged({ firstname: "Sally", lastname: "Brown" })).toBe(false);
+    });
+});
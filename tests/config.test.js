@@ -0,0 +1,62 @@
+const { REDACTED, describeConfig, loadConfig, redactSecrets, secretsOf, useProfileFlag } = require('../lib/config');
+const { redactDeep } = require('../jest.html-reporter');
+
+describe('Configuration Profiles', () => {
+    const credentials = { BOOKER_USERNAME: 'tester', BOOKER_PASSWORD: 's3cr3t!' };
+
+    test('Default to the local profile', () => {
+        const config = loadConfig({ env: {} });
+
+        expect(config).toMatchObject({ profile: 'local', target: 'emulator' });
+        expect(config.credentials.username).toBeTruthy();
+        expect(config.performance).toEqual(expect.objectContaining({ p95Ms: expect.any(Number) }));
+    });
+
+    test('Select a profile by BOOKER_PROFILE and override values from the environment', () => {
+        const config = loadConfig({
+            env: { BOOKER_PROFILE: 'production', ...credentials, PERF_P95_THRESHOLD: '2500' }
+        });
+
+        expect(config).toMatchObject({
+            profile: 'production',
+            target: 'remote',
+            baseUrl: 'https://restful-booker.herokuapp.com',
+            credentials: { username: 'tester', password: 's3cr3t!' },
+            performance: { p95Ms: 2500 }
+        });
+    });
+
+    test('Fail fast listing every missing or invalid value', () => {
+        expect(() => loadConfig({ env: { BOOKER_PROFILE: 'staging', REQUEST_TIMEOUT_MS: 'soon' } }))
+            .toThrow(/profile "staging"[\s\S]*base URL is missing[\s\S]*username is missing[\s\S]*password is missing[\s\S]*timeouts.requestMs must be a positive number/);
+        expect(() => loadConfig({ env: { BOOKER_PROFILE: 'production', USERNAME: 'tester', PASSWORD: 's3cr3t!' } }))
+            .toThrow(/username is missing[\s\S]*password is missing/);
+        expect(() => loadConfig({ profile: 'qa', env: {} })).toThrow('Unknown profile "qa"');
+        expect(() => loadConfig({ env: { API_TARGET: 'mock' } })).toThrow(/target must be one of emulator, remote/);
+    });
+
+    test('Take the profile from a --profile flag', () => {
+        const previous = process.env.BOOKER_PROFILE;
+        try {
+            expect(useProfileFlag(['load/smoke.json', '--profile', 'staging', '--vus', '2']))
+                .toEqual(['load/smoke.json', '--vus', '2']);
+            expect(process.env.BOOKER_PROFILE).toBe('staging');
+            expect(() => useProfileFlag(['--profile'])).toThrow('--profile needs a value');
+        } finally {
+            if (previous === undefined) delete process.env.BOOKER_PROFILE;
+            else process.env.BOOKER_PROFILE = previous;
+        }
+    });
+
+    test('Redact the password and Basic credentials from logs and reports', () => {
+        const config = loadConfig({ env: credentials });
+        const secrets = secretsOf(config);
+        const header = `Basic ${Buffer.from('tester:s3cr3t!').toString('base64')}`;
+
+        expect(redactSecrets(`sent ${header} with {"password":"s3cr3t!"}`, secrets))
+            .toBe(`sent Basic ${REDACTED} with {"password":"${REDACTED}"}`);
+        expect(redactDeep({ failureMessages: ['expected s3cr3t!'], numFailingTests: 1 }, secrets))
+            .toEqual({ failureMessages: [`expected ${REDACTED}`], numFailingTests: 1 });
+        expect(describeConfig(config)).not.toContain('s3cr3t!');
+    });
+});
@@ -0,0 +1,157 @@
+const { BookerClient } = require('../lib/client');
+const { checkHistory, linearize, recordHistory } = require('../lib/consistency');
+const { createBookingFactory } = require('../lib/factory');
+
+describe('Concurrent Write Consistency', () => {
+    const client = new BookerClient();
+    const factory = createBookingFactory();
+
+    describe('Against the API', () => {
+        let booking;
+        let bookingId;
+
+        beforeEach(async () => {
+            booking = factory.valid();
+            bookingId = (await client.createBooking(booking)).body.bookingid;
+        });
+
+        test('Explain overlapping PUTs, PATCHes and reads with a serial order', async () => {
+            const history = await recordHistory(client, bookingId, [
+                { type: 'patch', body: { firstname: "Writer1" } },
+                { type: 'put', body: factory.valid() },
+                { type: 'patch', body: { totalprice: 42, depositpaid: false } },
+                { type: 'put', body: factory.valid() },
+                { type: 'patch', body: { bookingdates: { checkout: "2099-12-31" } } },
+                { type: 'patch', body: { firstname: "Writer2", additionalneeds: "Cot" } }
+            ], { reads: 3 });
+
+            const report = checkHistory(booking, history);
+
+            expect(history).toHaveLength(10);
+            expect(report.anomalies).toEqual([]);
+            expect(report.order).toHaveLength(history.length);
+            expect(report.order[report.order.length - 1]).toBe(9);
+        });
+
+        test('Never serve a booking again once a concurrent DELETE succeeded', async () => {
+            const history = await recordHistory(client, bookingId, [
+                { type: 'patch', body: { totalprice: 1 } },
+                { type: 'delete' },
+                { type: 'put', body: factory.valid() },
+                { type: 'patch', body: { totalprice: 2 } },
+                { type: 'delete' }
+            ], { reads: 2 });
+
+            expect(checkHistory(booking, history).anomalies).toEqual([]);
+            expect(history.filter(({ type, status }) => type === 'delete' && status === 201)).toHaveLength(1);
+            expect(history[history.length - 1]).toMatchObject({ final: true, status: 404 });
+        });
+    });
+
+    describe('Checker', () => {
+        const initial = {
+            firstname: "Sally",
+            lastname: "Brown",
+            totalprice: 100,
+            depositpaid: true,
+            bookingdates: { checkin: "2024-01-01", checkout: "2024-01-05" }
+        };
+        const replacement = { ...initial, firstname: "Jim", lastname: "Wilson", totalprice: 200 };
+
+        // Builds history entries; `at` is [start, end].
+        const call = (index, type, [start, end], status, fields = {}) =>
+            ({ index, type, start, end, status, ...fields });
+        const finalRead = (index, start, response) =>
+            call(index, 'get', [start, start + 1], response ? 200 : 404, { final: true, ...(response && { response }) });
+
+        test('Order overlapping calls freely but keep real-time order', () => {
+            const first = { ...initial, totalprice: 1 };
+            const second = { ...initial, totalprice: 2 };
+            const overlapping = [
+                call(0, 'patch', [0, 10], 200, { body: { totalprice: 2 }, response: second }),
+                call(1, 'patch', [1, 9], 200, { body: { totalprice: 1 }, response: first }),
+                finalRead(2, 20, second)
+            ];
+
+            expect(linearize(initial, overlapping)).toEqual([1, 0, 2]);
+
+            // The same answers are impossible once the first call ended before the second began.
+            const sequential = overlapping.map(entry =>
+                (entry.index === 1 ? { ...entry, start: 11, end: 12 } : entry));
+            expect(linearize(initial, sequential)).toBeNull();
+        });
+
+        test('Report a lost update', () => {
+            const history = [
+                call(0, 'patch', [0, 5], 200, { body: { firstname: "Ann" }, response: { ...initial, firstname: "Ann" } }),
+                call(1, 'patch', [1, 6], 200, { body: { totalprice: 7 }, response: { ...initial, totalprice: 7 } }),
+                finalRead(2, 10, { ...initial, totalprice: 7 })
+            ];
+
+            const report = checkHistory(initial, history);
+
+            expect(report.consistent).toBe(false);
+            expect(report.anomalies).toEqual([expect.objectContaining({ kind: 'lost-update', entries: [0] })]);
+            expect(report.anomalies[0].message).toMatch(/#0 PATCH → 200 was acknowledged/);
+        });
+
+        test('Report a torn write', () => {
+            const torn = { ...replacement, lastname: initial.lastname };
+            const history = [
+                call(0, 'put', [0, 5], 200, { body: replacement, response: replacement }),
+                call(1, 'get', [1, 4], 200, { response: torn }),
+                finalRead(2, 10, replacement)
+            ];
+
+            expect(checkHistory(initial, history).anomalies).toEqual([
+                expect.objectContaining({ kind: 'torn-write', entries: [1] })
+            ]);
+        });
+
+        test('Accept fields combined by successive patches', () => {
+            const history = [
+                call(0, 'put', [0, 5], 200, { body: replacement, response: replacement }),
+                call(1, 'patch', [6, 8], 200, {
+                    body: { bookingdates: { checkout: "2024-02-01" } },
+                    response: { ...replacement, bookingdates: { ...replacement.bookingdates, checkout: "2024-02-01" } }
+                }),
+                finalRead(2, 10, { ...replacement, bookingdates: { ...replacement.bookingdates, checkout: "2024-02-01" } })
+            ];
+
+            expect(checkHistory(initial, history)).toMatchObject({ consistent: true, order: [0, 1, 2] });
+        });
+
+        test('Report a resurrected delete', () => {
+            const history = [
+                call(0, 'delete', [0, 5], 201),
+                call(1, 'get', [6, 7], 200, { response: initial }),
+                finalRead(2, 10, initial)
+            ];
+
+            expect(checkHistory(initial, history).anomalies).toEqual([
+                expect.objectContaining({ kind: 'resurrected-delete', entries: [0, 1, 2] })
+            ]);
+        });
+
+        test('Let a failed call either apply or not', () => {
+            const history = [
+                call(0, 'put', [0, 5], undefined, { body: replacement, error: 'ECONNRESET' }),
+                finalRead(1, 10, replacement)
+            ];
+
+            expect(checkHistory(initial, history).consistent).toBe(true);
+            expect(checkHistory(initial, [history[0], finalRead(1, 10, initial)]).consistent).toBe(true);
+        });
+
+        test('Fall back to a generic report when no single anomaly explains the history', () => {
+            const history = [
+                call(0, 'get', [0, 1], 404),
+                finalRead(1, 10, initial)
+            ];
+
+            expect(checkHistory(initial, history).anomalies).toEqual([
+                expect.objectContaining({ kind: 'not-serializable', entries: [0, 1] })
+            ]);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+const { BookerClient } = require('../lib/client');
+const { createBookingFactory } = require('../lib/factory');
+const { parseForm, parseXml, serializeBody, toForm, toXml } = require('../lib/formats');
+
+describe('Content Negotiation', () => {
+    const factory = createBookingFactory();
+    const clients = {
+        json: new BookerClient({ format: 'json' }),
+        xml: new BookerClient({ format: 'xml' }),
+        form: new BookerClient({ format: 'form' })
+    };
+
+    describe.each(Object.keys(clients))('CRUD with %s bodies', (format) => {
+        const client = clients[format];
+
+        test('Create, read, update, patch and delete a booking', async () => {
+            const booking = factory.valid({ additionalneeds: "Late checkout & <breakfast>" });
+            const created = await client.createBooking(booking);
+
+            expect(created.status).toBe(200);
+            expect(created).toMatchContract('createdBooking');
+            expect(created.body.booking).toEqual(booking);
+
+            const { bookingid } = created.body;
+            expect((await client.getBooking(bookingid)).body).toEqual(booking);
+
+            const replacement = factory.valid();
+            const updated = await client.updateBooking(bookingid, replacement);
+            expect(updated.status).toBe(200);
+            expect(updated.body).toEqual(replacement);
+
+            const patched = await client.patchBooking(bookingid, { totalprice: 321, depositpaid: false });
+            expect(patched.status).toBe(200);
+            expect(patched.body).toEqual({ ...replacement, totalprice: 321, depositpaid: false });
+
+            expect((await client.deleteBooking(bookingid)).status).toBe(201);
+        });
+    });
+
+    test('Round-trip the same booking identically across JSON, XML and form input', async () => {
+        const booking = factory.valid({ firstname: "O'Brien", additionalneeds: "Cot, high chair" });
+
+        const reads = await Promise.all(Object.keys(clients).map(async (input) => {
+            const { body: { bookingid } } = await clients[input].createBooking(booking);
+            return Promise.all(['json', 'xml'].map(async output => (await clients[output].getBooking(bookingid)).body));
+        }));
+
+        reads.flat().forEach(read => expect(read).toEqual(booking));
+    });
+
+    test('Serve XML that parses to the same booking as the JSON representation', async () => {
+        const { body: { bookingid } } = await clients.json.createBooking(factory.valid());
+
+        const xml = await clients.json.getBooking(bookingid, { accept: 'application/xml' });
+        const json = await clients.json.getBooking(bookingid);
+
+        expect(xml.response.headers['content-type']).toMatch(/xml/);
+        expect(xml.response.text).toMatch(/^<\?xml[^>]*\?>\s*<booking>/);
+        expect(xml.body).toEqual(json.body);
+        expect(xml.response).toMatchContract('booking');
+    });
+
+    describe('Unsupported Accept values', () => {
+        let bookingId;
+
+        beforeAll(async () => {
+            bookingId = (await clients.json.createBooking(factory.valid())).body.bookingid;
+        });
+
+        test.each(['text/html', 'application/pdf', 'text/plain'])('Answer %s with 418', async (accept) => {
+            const booking = factory.valid();
+
+            expect((await clients.json.createBooking(booking, { accept })).status).toBe(418);
+            expect((await clients.json.getBooking(bookingId, { accept })).status).toBe(418);
+            expect((await clients.json.updateBooking(bookingId, booking, { accept })).status).toBe(418);
+        });
+    });
+
+    test.each([
+        ['xml', 'text/xml', '<booking><firstname>Jim</firstname>'],
+        ['form', 'application/x-www-form-urlencoded', 'firstname=Jim&totalprice=abc']
+    ])('Refuse a malformed %s body', async (format, contentType, body) => {
+        const { status } = await clients.json.request('post', '/booking', { body, contentType });
+
+        expect([400, 500]).toContain(status);
+    });
+
+    describe('Serialisation', () => {
+        const booking = {
+            firstname: "A & B <C>",
+            lastname: "\"Quoted\" 'Name'",
+            totalprice: 12.5,
+            depositpaid: true,
+            bookingdates: { checkin: "2024-01-01", checkout: "2024-01-03" }
+        };
+
+        test('Escape XML and read it back', () => {
+            const xml = toXml('booking', booking);
+
+            expect(xml).not.toMatch(/<C>|A & B/);
+            expect(parseXml(`<?xml version='1.0'?>\n${xml}`)).toEqual({
+                booking: { ...booking, totalprice: '12.5', depositpaid: 'true' }
+            });
+            expect(() => parseXml('<booking><firstname>Jim</lastname></booking>')).toThrow(/closes <firstname>/);
+        });
+
+        test('Encode nested fields with bracket keys', () => {
+            const form = toForm(booking);
+
+            expect(decodeURIComponent(form)).toContain('bookingdates[checkin]=2024-01-01');
+            expect(parseForm(form)).toEqual({
+                ...booking,
+                totalprice: '12.5',
+                depositpaid: 'true'
+            });
+        });
+
+        test('Leave strings and JSON bodies untouched', () => {
+            expect(serializeBody('{"raw":', 'xml')).toBe('{"raw":');
+            expect(serializeBody(booking, 'json')).toBe(booking);
+        });
+    });
+});
@@ -0,0 +1,65 @@
+const { validateContract } = require('../lib/contracts');
+const { createBookingFactory } = require('../lib/factory');
+
+describe('Response Contracts', () => {
+    const factory = createBookingFactory();
+
+    describe('Booking contract', () => {
+        test('Accept a complete booking', () => {
+            expect(factory.valid({ additionalneeds: "Breakfast" })).toMatchContract('booking');
+        });
+
+        test('Report a dropped bookingdates field', () => {
+            const { bookingdates, ...booking } = factory.valid();
+
+            expect(validateContract('booking', booking).errors)
+                .toEqual(['/bookingdates: is required']);
+        });
+
+        test('Report a stringly-typed totalprice', () => {
+            const booking = factory.valid({ totalprice: "100" });
+
+            expect(validateContract('booking', booking).errors)
+                .toEqual(['/totalprice: must be number']);
+        });
+
+        test('Report malformed and unexpected nested fields', () => {
+            const booking = factory.valid({
+                bookingdates: { checkin: "01/01/2024", checkout: "2024-01-02", nights: 1 }
+            });
+
+            expect(validateContract('booking', booking).errors).toEqual(expect.arrayContaining([
+                '/bookingdates: unexpected field "nights"',
+                '/bookingdates/checkin: must match format "date"'
+            ]));
+        });
+    });
+
+    describe('Envelope contracts', () => {
+        test('Accept a create-booking envelope', () => {
+            expect({ bookingid: 1, booking: factory.valid() }).toMatchContract('createdBooking');
+        });
+
+        test('Reject a booking-id list with a changed shape', () => {
+            expect([1, 2, 3]).not.toMatchContract('bookingIds');
+            expect([{ id: 1 }]).not.toMatchContract('bookingIds');
+        });
+
+        test('Reject an auth response without a token', () => {
+            expect({ reason: "Bad credentials" }).not.toMatchContract('authToken');
+        });
+    });
+
+    describe('toMatchContract matcher', () => {
+        test('List every failing field in the message', () => {
+            const booking = factory.valid({ firstname: 42, depositpaid: "yes" });
+
+            expect(() => expect(booking).toMatchContract('booking'))
+                .toThrow(/\/firstname: must be string[\s\S]*\/depositpaid: must be boolean/);
+        });
+
+        test('Reject unknown contract names', () => {
+            expect(() => validateContract('invoice', {})).toThrow(/Unknown contract "invoice"/);
+        });
+    });
+});
@@ -0,0 +1,47 @@
+const { isTagged } = require('../lib/cleanup');
+const { createBookingFactory, resolveSeed } = require('../lib/factory');
+
+describe('Booking Factory', () => {
+    test('Same seed produces the same bookings', () => {
+        const first = createBookingFactory({ seed: 1234 });
+        const second = createBookingFactory({ seed: 1234 });
+
+        expect([first.valid(), first.valid(), first.edgeCases()])
+            .toEqual([second.valid(), second.valid(), second.edgeCases()]);
+    });
+
+    test('Different seeds diverge', () => {
+        const bookings = seed => {
+            const factory = createBookingFactory({ seed });
+            return Array(5).fill().map(() => factory.valid());
+        };
+
+        expect(bookings(1)).not.toEqual(bookings(2));
+    });
+
+    test('Valid bookings and edge cases satisfy the booking contract', () => {
+        const factory = createBookingFactory({ seed: 7 });
+
+        Array(50).fill().forEach(() => expect(factory.valid()).toMatchContract('booking'));
+        factory.edgeCases().forEach(({ booking }) => expect(booking).toMatchContract('booking'));
+    });
+
+    test('Tag every booking the API stores, so a purge can find it', () => {
+        const factory = createBookingFactory({ seed: 7 });
+
+        expect([factory.valid(), ...factory.edgeCases().map(({ booking }) => booking)].filter(booking => !isTagged(booking)))
+            .toEqual([]);
+    });
+
+    test('Edge and invalid variants have unique names', () => {
+        const factory = createBookingFactory({ seed: 7 });
+        const names = [...factory.edgeCases(), ...factory.invalidCases()].map(({ name }) => name);
+
+        expect(new Set(names).size).toBe(names.length);
+    });
+
+    test('Reject non-integer seeds', () => {
+        expect(() => resolveSeed('abc')).toThrow(/BOOKER_SEED must be an integer/);
+        expect(resolveSeed('99')).toBe(99);
+    });
+});
@@ -0,0 +1,93 @@
+const { BookerClient } = require('../lib/client');
+const { createBookingFactory } = require('../lib/factory');
+const { startFaultProxy } = require('../lib/fault-proxy');
+
+describe('Fault Injection Proxy', () => {
+    let proxy;
+    let client;
+    let bookingId;
+
+    // Other suites share the store and may delete any booking, seeded ones
+    // included, so the proxied reads go to one created here.
+    beforeAll(async () => {
+        proxy = await startFaultProxy();
+        bookingId = (await new BookerClient().createBooking(createBookingFactory().valid())).body.bookingid;
+    });
+
+    afterAll(() => proxy.close());
+
+    beforeEach(() => {
+        proxy.clear();
+        client = new BookerClient({ baseUrl: proxy.url, timeoutMs: 1000, retry: false, conformance: null });
+    });
+
+    test('Forward requests untouched when no fault is injected', async () => {
+        const { status, body } = await client.getBooking(bookingId);
+
+        expect(status).toBe(200);
+        expect(body).toMatchContract('booking');
+    });
+
+    test('Return an injected status for the matching route only', async () => {
+        proxy.inject({ route: 'GET /booking/:id', status: 418 });
+
+        expect((await client.getBooking(bookingId)).status).toBe(418);
+        expect((await client.listBookings()).status).toBe(200);
+    });
+
+    test('Stop injecting after the given number of requests', async () => {
+        const rule = proxy.inject({ route: '* /booking', status: 500, times: 2 });
+
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            statuses.push((await client.listBookings()).status);
+        }
+
+        expect(statuses).toEqual([500, 500, 200]);
+        expect(rule.hits).toBe(2);
+    });
+
+    test('Add latency before forwarding', async () => {
+        proxy.inject({ route: 'GET /ping', latencyMs: 300 });
+
+        const { status, durationMs } = await client.ping();
+
+        expect(status).toBe(201);
+        expect(durationMs).toBeGreaterThanOrEqual(290);
+    });
+
+    test('Reset the connection', async () => {
+        proxy.inject({ route: 'GET /booking', reset: true, times: 1 });
+
+        await expect(client.listBookings()).rejects.toMatchObject({ code: 'ECONNRESET' });
+    });
+
+    test('Drop the request so the client times out', async () => {
+        proxy.inject({ route: 'GET /booking', drop: true, times: 1 });
+
+        await expect(client.listBookings()).rejects.toMatchObject({ timeout: 1000 });
+    });
+
+    test('Truncate the response body', async () => {
+        proxy.inject({ route: 'GET /booking/:id', truncateAt: 10, times: 1 });
+
+        await expect(client.getBooking(bookingId)).rejects.toThrow('aborted');
+    });
+
+    test('Corrupt the JSON body', async () => {
+        proxy.inject({ route: 'GET /booking/:id', corruptJson: true, times: 1 });
+
+        await expect(client.getBooking(bookingId)).rejects.toThrow(/JSON/);
+    });
+
+    test('Retry through injected gateway errors and resets', async () => {
+        const retrying = new BookerClient({ baseUrl: proxy.url, retry: { retries: 3, baseDelayMs: 1, maxDelayMs: 5 }, conformance: null });
+        proxy.inject({ route: 'GET /booking/:id', status: 502, times: 1 });
+        proxy.inject({ route: 'GET /booking/:id', reset: true, times: 1 });
+
+        const { status, retries } = await retrying.getBooking(bookingId);
+
+        expect(status).toBe(200);
+        expect(retries).toEqual(['HTTP 502', 'ECONNRESET']);
+    });
+});
@@ -0,0 +1,104 @@
+const fc = require('fast-check');
+const { BookerClient } = require('../lib/client');
+const { registerSeed, resolveSeed } = require('../lib/factory');
+const { STACK_TRACE_PATTERN } = require('../lib/malicious');
+const arbitraries = require('../lib/arbitraries');
+
+const FUZZ_RUNS = Number(process.env.FUZZ_RUNS || 1000);
+const FUZZ_TIMEOUT = 300000;
+
+const expectNoStackTrace = ({ status, response }) => {
+    if (status >= 500) {
+        expect(response.text || '').not.toMatch(STACK_TRACE_PATTERN);
+    }
+};
+
+describe('Property-Based Fuzzing', () => {
+    // Payload types are the point here, and only JSON carries them.
+    const client = new BookerClient({ format: 'json' });
+    const seed = resolveSeed();
+    const options = { seed, numRuns: FUZZ_RUNS };
+
+    registerSeed(seed);
+
+    beforeAll(async () => {
+        await client.auth();
+    });
+
+    describe('POST /booking', () => {
+        test('Never answers arbitrary payloads with a 5xx stack trace', async () => {
+            await fc.assert(fc.asyncProperty(arbitraries.anyBody, async (payload) => {
+                const result = await client.createBooking(payload);
+
+                expectNoStackTrace(result);
+                if (result.status === 200) {
+                    expect(result).toMatchContract('createdBooking');
+                }
+            }), options);
+        }, FUZZ_TIMEOUT);
+
+        test('Never answers malformed JSON text with a 5xx stack trace', async () => {
+            await fc.assert(fc.asyncProperty(arbitraries.rawJsonText, async (text) => {
+                expectNoStackTrace(await client.request('post', '/booking', { body: text }));
+            }), options);
+        }, FUZZ_TIMEOUT);
+
+        test('GET after create round-trips the stored fields', async () => {
+            await fc.assert(fc.asyncProperty(arbitraries.validBooking, async (booking) => {
+                const created = await client.createBooking(booking);
+                expect(created.status).toBe(200);
+                expect(created.body.booking).toEqual(booking);
+
+                const fetched = await client.getBooking(created.body.bookingid);
+                expect(fetched.status).toBe(200);
+                expect(fetched.body).toEqual(booking);
+            }), { ...options, numRuns: Math.ceil(FUZZ_RUNS / 5) });
+        }, FUZZ_TIMEOUT);
+    });
+
+    describe('PATCH /booking/:id', () => {
+        let bookingId;
+
+        beforeAll(async () => {
+            const { body } = await client.createBooking(fc.sample(arbitraries.validBooking, { seed, numRuns: 1 })[0]);
+            bookingId = body.bookingid;
+        });
+
+        test('Never answers arbitrary patches with a 5xx stack trace', async () => {
+            await fc.assert(fc.asyncProperty(arbitraries.anyBody, async (patch) => {
+                const result = await client.patchBooking(bookingId, patch);
+
+                expectNoStackTrace(result);
+                if (result.status === 200) {
+                    expect(result).toMatchContract('booking');
+                    expect((await client.getBooking(bookingId)).body).toEqual(result.body);
+                }
+            }), options);
+        }, FUZZ_TIMEOUT);
+    });
+
+    describe('POST /auth', () => {
+        const isValidLogin = ({ username, password }) =>
+            username === client.credentials.username && password === client.credentials.password;
+
+        test('Never issues a token for wrong credentials', async () => {
+            const wrongCredentials = arbitraries.credentials.filter(credentials => !isValidLogin(credentials));
+
+            await fc.assert(fc.asyncProperty(wrongCredentials, async (credentials) => {
+                const result = await client.request('post', '/auth', { body: credentials });
+
+                expectNoStackTrace(result);
+                expect(result.body).not.toHaveProperty('token');
+            }), options);
+        }, FUZZ_TIMEOUT);
+
+        test('Never answers malformed JSON text with a 5xx stack trace', async () => {
+            await fc.assert(fc.asyncProperty(arbitraries.rawJsonText, async (text) => {
+                const result = await client.request('post', '/auth', { body: text });
+
+                expectNoStackTrace(result);
+                expect(result.body).not.toHaveProperty('token');
+            }), options);
+        }, FUZZ_TIMEOUT);
+    });
+});
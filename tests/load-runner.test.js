@@ -0,0 +1,68 @@
+const { BookerClient } = require('../lib/client');
+const { createRandom } = require('../lib/factory');
+const { expectedArrivals, pickWeighted, runScenario } = require('../lib/load/runner');
+const { loadScenario, normalizeScenario } = require('../lib/load/scenario');
+const { runTrafficLog } = require('../lib/tracing');
+
+describe('Load Runner', () => {
+    test('Fill in scenario defaults', () => {
+        const scenario = normalizeScenario({ name: "defaults" });
+
+        expect(scenario).toMatchObject({ model: 'closed', virtualUsers: 5, rampUpSeconds: 0, mix: { list: 1, get: 1 } });
+    });
+
+    test('Report every problem in an invalid scenario', () => {
+        expect(() => normalizeScenario({
+            name: "broken",
+            model: 'open',
+            arrivalRate: 0,
+            durationSeconds: -1,
+            mix: { search: 1 }
+        })).toThrow(/arrivalRate[\s\S]*durationSeconds[\s\S]*unknown operation "search"/);
+    });
+
+    test.each(['smoke', 'mixed-closed', 'open-arrival'])('Bundled scenario %s is valid', (name) => {
+        expect(loadScenario(`load/${name}.json`).name).toBe(name);
+    });
+
+    test('Pick operations in proportion to their weights', () => {
+        const random = createRandom(42);
+        const picks = Array(4000).fill().map(() => pickWeighted(random, { get: 3, list: 1, delete: 0 }));
+
+        expect(picks).not.toContain('delete');
+        expect(picks.filter(op => op === 'get').length / picks.length).toBeCloseTo(0.75, 1);
+    });
+
+    test('Ramp the open-model arrival rate linearly', () => {
+        expect(expectedArrivals(0, 10, 4)).toBe(0);
+        expect(expectedArrivals(4, 10, 4)).toBe(20);
+        expect(expectedArrivals(6, 10, 4)).toBe(40);
+        expect(expectedArrivals(2, 10, 0)).toBe(20);
+    });
+
+    test.each([
+        { name: "closed", model: 'closed', virtualUsers: 2 },
+        { name: "open", model: 'open', arrivalRate: 20 }
+    ])('Run a short $model scenario and clean up after it', async (input) => {
+        const before = await new BookerClient({ registry: null, timings: null }).listBookings();
+        const logged = runTrafficLog.entries.length;
+        const report = await runScenario(normalizeScenario({
+            ...input,
+            durationSeconds: 1,
+            reportIntervalSeconds: 0.5,
+            seed: 7,
+            mix: { create: 1, get: 1, patch: 1, delete: 1 }
+        }));
+
+        expect(report.requests).toBeGreaterThan(0);
+        expect(report.overall.errorRate).toBe(0);
+        expect(report.seed).toBe(7);
+        expect(Object.keys(report.operations)).toEqual(expect.arrayContaining(['create', 'get']));
+        expect(report.intervals.length).toBeGreaterThanOrEqual(2);
+        expect(report.intervals.reduce((sum, interval) => sum + interval.requests, 0)).toBe(report.requests);
+        expect(runTrafficLog.entries).toHaveLength(logged);
+
+        const after = await new BookerClient({ registry: null, timings: null }).listBookings();
+        expect(after.body.length).toBe(before.body.length);
+    });
+});
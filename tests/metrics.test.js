@@ -0,0 +1,56 @@
+const { buildRunResults, createTimingCollector, endpointOf, percentile, summarize } = require('../lib/metrics');
+
+describe('Latency Metrics', () => {
+    const samples = durations => durations.map(durationMs => ({ status: 200, durationMs }));
+
+    test('Compute nearest-rank percentiles', () => {
+        const sorted = Array(100).fill().map((_, index) => index + 1);
+
+        expect(percentile(sorted, 50)).toBe(50);
+        expect(percentile(sorted, 95)).toBe(95);
+        expect(percentile(sorted, 99)).toBe(99);
+        expect(percentile(sorted, 100)).toBe(100);
+        expect(percentile([], 95)).toBeUndefined();
+    });
+
+    test('Summarise tail latency and error rate', () => {
+        const stats = summarize([
+            ...samples([10, 20, 30, 40, 50, 60, 70, 80, 90]),
+            { status: 503, durationMs: 1000 }
+        ]);
+
+        expect(stats).toMatchObject({
+            count: 10, errors: 1, errorRate: 0.1, min: 10, p50: 50, p90: 90, p99: 1000, max: 1000
+        });
+        expect(stats.histogram.find(({ le }) => le === 1000).count).toBe(1);
+        expect(stats.histogram.reduce((sum, { count }) => sum + count, 0)).toBe(10);
+    });
+
+    test('Group samples by method and route', () => {
+        expect(endpointOf('get', '/booking/42')).toBe('GET /booking/:id');
+        expect(endpointOf('get', '/booking?firstname=Sally')).toBe('GET /booking');
+    });
+
+    test('Assert on percentiles with toHavePercentileBelow', () => {
+        const collector = createTimingCollector();
+        [5, 6, 7, 8, 900].forEach(durationMs =>
+            collector.record({ method: 'get', path: '/booking', status: 200, durationMs }));
+
+        expect(collector).toHavePercentileBelow('GET /booking', 50, 10);
+        expect(() => expect(collector).toHavePercentileBelow('GET /booking', 95, 800))
+            .toThrow(/Expected p95 of GET \/booking to be below 800ms, but it was 900\.0ms/);
+        expect(() => expect(collector).toHavePercentileBelow('GET /ping', 95, 800))
+            .toThrow(/No samples were recorded for GET \/ping/);
+    });
+
+    test('Report results per endpoint and per suite', () => {
+        const results = buildRunResults([
+            { endpoint: 'GET /booking', suite: 'a.test.js', status: 200, durationMs: 5 },
+            { endpoint: 'GET /booking', suite: 'b.test.js', status: 200, durationMs: 15 }
+        ], { target: 'emulator' });
+
+        expect(results.target).toBe('emulator');
+        expect(results.endpoints['GET /booking'].count).toBe(2);
+        expect(Object.keys(results.suites)).toEqual(['a.test.js', 'b.test.js']);
+    });
+});
@@ -0,0 +1,133 @@
+const { BookerClient } = require('../lib/client');
+const { CONTRACTS } = require('../lib/contracts');
+const { startEmulator } = require('../lib/emulator/server');
+const { BookingStore } = require('../lib/emulator/store');
+const { createBookingFactory } = require('../lib/factory');
+const { assertConformance, createConformanceLog, createSpecValidator } = require('../lib/openapi');
+const spec = require('../openapi.json');
+
+describe('OpenAPI Conformance', () => {
+    const factory = createBookingFactory();
+    const validator = createSpecValidator();
+    const booking = factory.valid({ firstname: "Spec", lastname: "Check" });
+    const exchange = (overrides = {}) => ({
+        method: 'GET',
+        path: '/booking/1',
+        status: 200,
+        responseContentType: 'application/json; charset=utf-8',
+        responseText: JSON.stringify(booking),
+        ...overrides
+    });
+
+    test('Describe the booking exactly like the response contract', () => {
+        const { $schema, $id, title, ...contract } = CONTRACTS.booking;
+        const { bookingdates, ...fields } = spec.components.schemas.Booking.properties;
+
+        expect({ ...spec.components.schemas.Booking, properties: { ...fields, bookingdates: spec.components.schemas.BookingDates } })
+            .toEqual(contract);
+    });
+
+    test('Accept documented exchanges in every format', () => {
+        const xml = "<?xml version='1.0'?><booking><firstname>Spec</firstname><lastname>Check</lastname>" +
+            '<totalprice>100</totalprice><depositpaid>true</depositpaid>' +
+            '<bookingdates><checkin>2024-01-01</checkin><checkout>2024-01-05</checkout></bookingdates></booking>';
+
+        expect(validator.check(exchange())).toEqual({ operation: 'GET /booking/{id}', violations: [] });
+        expect(validator.check(exchange({ responseContentType: 'application/xml', responseText: xml })).violations).toEqual([]);
+        expect(validator.check(exchange({ status: 404, responseContentType: 'text/plain', responseText: 'Not Found' })).violations).toEqual([]);
+        expect(validator.check(exchange({
+            method: 'POST',
+            path: '/booking',
+            requestContentType: 'application/x-www-form-urlencoded',
+            requestBody: 'firstname=Spec&lastname=Check&totalprice=100&depositpaid=true&bookingdates[checkin]=2024-01-01&bookingdates[checkout]=2024-01-05',
+            responseText: JSON.stringify({ bookingid: 7, booking })
+        })).violations).toEqual([]);
+    });
+
+    test('Report undocumented statuses and content types', () => {
+        expect(validator.check(exchange({ status: 410 })).violations)
+            .toEqual(['status 410 is not documented (expected 200, 404, 418, 429)']);
+        expect(validator.check(exchange({ responseContentType: 'text/html' })).violations)
+            .toEqual(['content type "text/html" is not documented for 200 (expected application/json, application/xml)']);
+    });
+
+    test('Report extra, missing and mistyped response fields', () => {
+        const { additionalneeds, ...drifted } = { ...booking, totalprice: "100", roomtype: "double" };
+        const { lastname, ...partial } = drifted;
+
+        expect(validator.check(exchange({ responseText: JSON.stringify(partial) })).violations).toEqual([
+            'response body /lastname: is required',
+            'response body (root): unexpected field "roomtype"',
+            'response body /totalprice: must be number'
+        ]);
+    });
+
+    test('Report paths, methods and parameters the spec does not describe', () => {
+        expect(validator.check(exchange({ path: '/admin' })).violations).toEqual(['path /admin is not documented']);
+        expect(validator.check(exchange({ method: 'HEAD' })).violations).toEqual(['HEAD is not documented for /booking/{id}']);
+        expect(validator.check(exchange({
+            path: '/booking',
+            query: { firstname: 'Spec', page: 2 },
+            responseText: '[]'
+        })).violations).toEqual(['accepted a request the spec does not allow: query parameter "page" is not documented']);
+    });
+
+    test('Treat documented rejections of bad requests as conforming', () => {
+        const invalid = { ...booking, totalprice: "cheap" };
+        const put = overrides => exchange({
+            method: 'PUT',
+            requestContentType: 'application/json',
+            requestBody: invalid,
+            ...overrides
+        });
+
+        expect(validator.check(put({ status: 400, responseContentType: 'text/plain', responseText: 'Bad Request' })).violations)
+            .toEqual([]);
+        expect(validator.check(put()).violations)
+            .toEqual(['accepted a request the spec does not allow: request body /totalprice: must be number']);
+        expect(validator.check(put({ path: '/booking/abc' })).violations)
+            .toEqual(['accepted a request the spec does not allow: path parameter "id" must be integer; request body /totalprice: must be number']);
+    });
+
+    describe('Against a server that drifts from the spec', () => {
+        // Returns bookings with a field the spec does not know.
+        class DriftingStore extends BookingStore {
+            get(id) {
+                const stored = super.get(id);
+                return stored && { ...stored, roomtype: 'double' };
+            }
+        }
+
+        const hookLog = createConformanceLog();
+        let emulator;
+
+        beforeAll(async () => {
+            emulator = await startEmulator({ store: new DriftingStore() });
+            const client = new BookerClient({ baseUrl: emulator.url, registry: null, timings: null, conformance: hookLog });
+            await client.getBooking((await client.createBooking(booking)).body.bookingid);
+        });
+
+        afterAll(() => emulator.close());
+
+        test('Fail with every violating request, naming the test that sent it', async () => {
+            const log = createConformanceLog();
+            const client = new BookerClient({ baseUrl: emulator.url, registry: null, timings: null, conformance: log });
+            const violation = id => `[${expect.getState().currentTestName}] GET /booking/${id} → 200: response body (root): unexpected field "roomtype"`;
+
+            const { body: { bookingid } } = await client.createBooking(booking);
+            await client.getBooking(bookingid);
+            await client.listBookings({ firstname: booking.firstname });
+
+            expect(log.violations).toEqual([violation(bookingid)]);
+            expect(() => assertConformance(log)).toThrow(`Traffic does not conform to openapi.json:\n  - ${violation(bookingid)}`);
+            expect(log.violations).toEqual([]);
+        });
+
+        test('Name the hook that sent a violating request, and keep it for the afterAll check', () => {
+            expect(hookLog.take({ hooks: false })).toEqual([]);
+            expect(hookLog.take()).toEqual([
+                expect.stringMatching(/^\[beforeAll in "OpenAPI .*Against a server that drifts from the spec"\] GET \/booking\/\d+ → 200: /)
+            ]);
+        });
+    });
+});
@@ -1,67 +1,74 @@
-const request = require('supertest');
-const baseUrl = process.env.API_BASE_URL || 'https://restful-booker.herokuapp.com';
+const { BookerClient } = require('../lib/client');
+const { createBookingFactory } = require('../lib/factory');
+const { tagName } = require('../lib/cleanup');
+const { formatLatencyTable, runCollector, summarize } = require('../lib/metrics');
+const { measureRecovery, probeRateLimit, rateLimitInfo } = require('../lib/rate-limit');
+const { startFaultProxy } = require('../lib/fault-proxy');
+const { startEmulator } = require('../lib/emulator/server');
+const { loadConfig } = require('../lib/config');
+const {
+    baselineGateEnabled,
+    baselineKey,
+    compareToBaseline,
+    formatComparison,
+    loadBaseline
+} = require('../lib/baseline');
 
 describe('Performance and Health Tests', () => {
-    const PERFORMANCE_THRESHOLD = 3000;
+    const factory = createBookingFactory();
+    const { performance } = loadConfig();
+    const PERFORMANCE_THRESHOLD = performance.responseMs;
     const CONCURRENT_REQUESTS = 5;
     const RATE_LIMIT_REQUESTS = 20;
-    let authToken;
+    const RATE_LIMIT_RECOVERY_TIMEOUT = 60000;
+    const RATE_LIMIT_SLACK = 1000;
+    const LATENCY_SAMPLES = performance.latencySamples;
+    const P95_THRESHOLD = performance.p95Ms;
+    const P99_THRESHOLD = performance.p99Ms;
+    const client = new BookerClient();
+    const performanceBooking = factory.valid({
+        firstname: "Performance",
+        lastname: tagName("Test")
+    });
 
     beforeAll(async () => {
-        const authResponse = await request(baseUrl)
-            .post('/auth')
-            .set('Content-Type', 'application/json')
-            .send({
-                username: 'admin',
-                password: 'password123'
-            });
-        
-        authToken = authResponse.body.token;
+        await client.auth();
+    });
+
+    const baseline = loadBaseline()[baselineKey()];
+
+    afterAll(() => {
+        console.log(`Latency by endpoint (ms):\n${formatLatencyTable(runCollector.stats())}`);
+
+        if (baseline) {
+            const comparisons = Object.keys(baseline.endpoints).map(endpoint =>
+                formatComparison(endpoint, compareToBaseline(baseline.endpoints[endpoint], runCollector.stats(endpoint))));
+            console.log(`Comparison with baseline "${baselineKey()}" (accepted ${baseline.acceptedAt}):\n\n${comparisons.join('\n\n')}`);
+        }
     });
 
     describe('Health Checks', () => {
         test('Ping endpoint should respond quickly', async () => {
-            const startTime = Date.now();
-            
-            const response = await request(baseUrl)
-                .get('/ping')
-                .set('Accept', 'application/json');
-            
-            const endTime = Date.now();
+            const { response, durationMs } = await client.ping();
             
             expect(response.statusCode).toBe(201);
-            expect(endTime - startTime).toBeLessThan(PERFORMANCE_THRESHOLD);
+            expect(durationMs).toBeLessThan(PERFORMANCE_THRESHOLD);
         });
 
         test('Booking endpoint should be available and respond quickly', async () => {
-            const startTime = Date.now();
-            
-            const response = await request(baseUrl)
-                .get('/booking')
-                .set('Accept', 'application/json');
-            
-            const endTime = Date.now();
+            const { response, durationMs } = await client.listBookings();
             
             expect(response.statusCode).toBe(200);
-            expect(Array.isArray(response.body)).toBe(true);
-            expect(endTime - startTime).toBeLessThan(PERFORMANCE_THRESHOLD);
+            expect(response).toMatchContract('bookingIds');
+            expect(durationMs).toBeLessThan(PERFORMANCE_THRESHOLD);
         });
 
         test('Auth endpoint should be available', async () => {
-            const startTime = Date.now();
-            
-            const response = await request(baseUrl)
-                .post('/auth')
-                .set('Content-Type', 'application/json')
-                .send({
-                    username: 'admin',
-                    password: 'password123'
-                });
-            
-            const endTime = Date.now();
+            const { response, durationMs } = await client.auth();
             
             expect(response.statusCode).toBe(200);
-            expect(endTime - startTime).toBeLessThan(5000);
+            expect(response).toMatchContract('authToken');
+            expect(durationMs).toBeLessThan(5000);
         });
     });
 
@@ -69,22 +76,10 @@ describe('Performance and Health Tests', () => {
         let testBookingId;
 
         beforeEach(async () => {
-            const createResponse = await request(baseUrl)
-                .post('/booking')
-                .set('Content-Type', 'application/json')
-                .send({
-                    firstname: "Performance",
-                    lastname: "Test",
-                    totalprice: 100,
-                    depositpaid: true,
-                    bookingdates: {
-                        checkin: "2024-01-01",
-                        checkout: "2024-01-02"
-                    }
-                });
+            const { status, body } = await client.createBooking(performanceBooking);
     
-            if (createResponse.statusCode === 200) {
-                testBookingId = createResponse.body.bookingid;
+            if (status === 200) {
+                testBookingId = body.bookingid;
             }
         });
 
@@ -94,39 +89,23 @@ describe('Performance and Health Tests', () => {
                 return;
             }
     
-            const startTime = Date.now();
-            
-            const response = await request(baseUrl)
-                .get(`/booking/${testBookingId}`)
-                .set('Accept', 'application/json');
-            
-            const endTime = Date.now();
+            const { response, durationMs } = await client.getBooking(testBookingId);
             
             expect([200, 404]).toContain(response.statusCode);
-            expect(endTime - startTime).toBeLessThan(5000);
+            if (response.statusCode === 200) {
+                expect(response).toMatchContract('booking');
+            }
+            expect(durationMs).toBeLessThan(5000);
         });
 
         test('Booking creation performance', async () => {
-            const startTime = Date.now();
-            
-            const response = await request(baseUrl)
-                .post('/booking')
-                .set('Content-Type', 'application/json')
-                .send({
-                    firstname: "Performance",
-                    lastname: "Test",
-                    totalprice: 100,
-                    depositpaid: true,
-                    bookingdates: {
-                        checkin: "2024-01-01",
-                        checkout: "2024-01-02"
-                    }
-                });
-            
-            const endTime = Date.now();
+            const { response, durationMs } = await client.createBooking(performanceBooking);
             
             expect([200, 418]).toContain(response.statusCode);
-            expect(endTime - startTime).toBeLessThan(5000);
+            if (response.statusCode === 200) {
+                expect(response).toMatchContract('createdBooking');
+            }
+            expect(durationMs).toBeLessThan(5000);
         });
 
         test('Booking update performance', async () => {
@@ -135,28 +114,17 @@ describe('Performance and Health Tests', () => {
                 return;
             }
     
-            const startTime = Date.now();
-            
-            const response = await request(baseUrl)
-                .put(`/booking/${testBookingId}`)
-                .set('Cookie', `token=${authToken}`)
-                .set('Content-Type', 'application/json')
-                .set('Accept', 'application/json')
-                .send({
-                    firstname: "Updated",
-                    lastname: "Test",
-                    totalprice: 150,
-                    depositpaid: true,
-                    bookingdates: {
-                        checkin: "2024-01-01",
-                        checkout: "2024-01-02"
-                    }
-                });
-            
-            const endTime = Date.now();
+            const { response, durationMs } = await client.updateBooking(testBookingId, {
+                ...performanceBooking,
+                firstname: "Updated",
+                totalprice: 150
+            });
             
             expect([200, 405]).toContain(response.statusCode);
-            expect(endTime - startTime).toBeLessThan(5000);
+            if (response.statusCode === 200) {
+                expect(response).toMatchContract('booking');
+            }
+            expect(durationMs).toBeLessThan(5000);
         });
 
         test('Booking deletion performance', async () => {
@@ -165,166 +133,207 @@ describe('Performance and Health Tests', () => {
                 return;
             }
     
-            const startTime = Date.now();
-            
-            const response = await request(baseUrl)
-                .delete(`/booking/${testBookingId}`)
-                .set('Cookie', `token=${authToken}`)
-                .set('Content-Type', 'application/json');
-            
-            const endTime = Date.now();
+            const { response, durationMs } = await client.deleteBooking(testBookingId);
             
             expect([201, 405]).toContain(response.statusCode);
-            expect(endTime - startTime).toBeLessThan(5000);
+            expect(durationMs).toBeLessThan(5000);
         });
     });
 
     describe('Concurrent Request Tests', () => {
         test('Handle multiple simultaneous GET requests', async () => {
-            const requests = Array(CONCURRENT_REQUESTS).fill().map(() => 
-                request(baseUrl)
-                    .get('/booking')
-                    .set('Accept', 'application/json')
+            const responses = await Promise.all(
+                Array(CONCURRENT_REQUESTS).fill().map(() => client.listBookings())
             );
 
-            const startTime = Date.now();
-            const responses = await Promise.all(requests);
-            const endTime = Date.now();
+            const { p50, p95, max } = summarize(responses);
 
-            const totalTime = endTime - startTime;
-            const averageTime = totalTime / CONCURRENT_REQUESTS;
+            console.log(`${CONCURRENT_REQUESTS} concurrent GET requests: p50 ${p50}ms, p95 ${p95}ms, max ${max}ms`);
 
-            console.log(`Average response time for ${CONCURRENT_REQUESTS} concurrent GET requests: ${averageTime}ms`);
-
-            responses.forEach(response => {
-                expect(response.statusCode).toBe(200);
-                expect(Array.isArray(response.body)).toBe(true);
+            responses.forEach(({ status, body }) => {
+                expect(status).toBe(200);
+                expect(body).toMatchContract('bookingIds');
             });
 
-            expect(averageTime).toBeLessThan(PERFORMANCE_THRESHOLD);
+            expect(p95).toBeLessThan(PERFORMANCE_THRESHOLD);
         });
 
         test('Handle multiple simultaneous POST requests', async () => {
-            const newBooking = {
+            const newBooking = factory.valid({
                 firstname: "Concurrent",
-                lastname: "Test",
-                totalprice: 100,
-                depositpaid: true,
-                bookingdates: {
-                    checkin: "2024-01-01",
-                    checkout: "2024-01-02"
-                }
-            };
-
-            const requests = Array(CONCURRENT_REQUESTS).fill().map(() => 
-                request(baseUrl)
-                    .post('/booking')
-                    .set('Content-Type', 'application/json')
-                    .set('Accept', 'application/json')
-                    .send(newBooking)
-            );
+                lastname: tagName("Test")
+            });
 
-            const startTime = Date.now();
-            const responses = await Promise.all(requests);
-            const endTime = Date.now();
+            const responses = await Promise.all(
+                Array(CONCURRENT_REQUESTS).fill().map(() => client.createBooking(newBooking))
+            );
 
-            const totalTime = endTime - startTime;
-            const averageTime = totalTime / CONCURRENT_REQUESTS;
+            const { p50, p95, max } = summarize(responses);
 
-            console.log(`Average response time for ${CONCURRENT_REQUESTS} concurrent POST requests: ${averageTime}ms`);
+            console.log(`${CONCURRENT_REQUESTS} concurrent POST requests: p50 ${p50}ms, p95 ${p95}ms, max ${max}ms`);
 
-            responses.forEach(response => {
-                expect(response.statusCode).toBe(200);
-                expect(response.body).toHaveProperty('bookingid');
+            responses.forEach(({ status, body }) => {
+                expect(status).toBe(200);
+                expect(body).toMatchContract('createdBooking');
             });
 
-            expect(averageTime).toBeLessThan(PERFORMANCE_THRESHOLD);
+            expect(p95).toBeLessThan(PERFORMANCE_THRESHOLD);
         });
     });
 
     describe('Rate Limiting Tests', () => {
-        test('Handle rapid sequential requests', async () => {
-            const requests = Array(RATE_LIMIT_REQUESTS).fill().map(() => 
-                request(baseUrl)
-                    .get('/booking')
-                    .set('Accept', 'application/json')
-            );
+        // Sees throttled responses as they are instead of backing off.
+        const raw = new BookerClient({ rateLimit: null });
 
+        test('Detect throttling under a rapid burst', async () => {
             const startTime = Date.now();
-            const responses = await Promise.all(requests);
+            const responses = (await Promise.all(
+                Array(RATE_LIMIT_REQUESTS).fill().map(() => raw.listBookings())
+            )).map(result => rateLimitInfo(result));
             const endTime = Date.now();
 
-            const statusCodes = responses.reduce((acc, response) => {
-                acc[response.statusCode] = (acc[response.statusCode] || 0) + 1;
+            const statusCodes = responses.reduce((acc, { status }) => {
+                acc[status] = (acc[status] || 0) + 1;
                 return acc;
             }, {});
+            const throttled = responses.filter(info => info.throttled);
 
             console.log('Response status code distribution:', statusCodes);
-            console.log(`Total time for ${RATE_LIMIT_REQUESTS} rapid requests: ${endTime - startTime}ms`);
+            console.log(`Total time for ${RATE_LIMIT_REQUESTS} rapid requests: ${endTime - startTime}ms, ${throttled.length} throttled`);
 
-            expect(statusCodes[200]).toBeGreaterThan(0);
+            responses.forEach((info) => {
+                expect(info.status === 200 || info.throttled).toBe(true);
+            });
         });
 
-        test('Recover from rate limiting', async () => {
-            const requests = Array(RATE_LIMIT_REQUESTS).fill().map(() => 
-                request(baseUrl).get('/booking')
-            );
-            await Promise.all(requests);
+        describe('Against a throttled emulator', () => {
+            const LIMIT = 5;
+            let emulator;
+            let limited;
+
+            // The target may never throttle (the bundled emulator does not), so
+            // recovery is measured against an emulator that does. Its traffic
+            // stays out of the latency stats and cassettes.
+            beforeAll(async () => {
+                emulator = await startEmulator({ rateLimit: { limit: LIMIT, windowMs: 1000 } });
+                limited = new BookerClient({
+                    baseUrl: emulator.url,
+                    registry: null,
+                    timings: null,
+                    cassette: null,
+                    rateLimit: null
+                });
+            });
 
-            await new Promise(resolve => setTimeout(resolve, 5000));
+            afterAll(() => emulator.close());
 
-            const response = await request(baseUrl)
-                .get('/booking')
-                .set('Accept', 'application/json');
+            test('Recover from rate limiting within the advertised delay', async () => {
+                const { onset, throttled } = await probeRateLimit(() => limited.listBookings(), { maxRequests: RATE_LIMIT_REQUESTS });
 
-            expect(response.statusCode).toBe(200);
-        }, 30000);
+                expect(onset).toBe(LIMIT);
+                expect(throttled.retryAfterMs).toBeGreaterThan(0);
+
+                const recovery = await measureRecovery(() => limited.listBookings(), { pollMs: 50, timeoutMs: RATE_LIMIT_RECOVERY_TIMEOUT });
+                console.log(`Throttled after ${onset} requests; advertised retry after ${throttled.retryAfterMs}ms, recovered after ${recovery.recoveredAfterMs}ms`);
+
+                expect(recovery.recovered).toBe(true);
+                expect(recovery.recoveredAfterMs).toBeLessThanOrEqual(throttled.retryAfterMs + RATE_LIMIT_SLACK);
+            }, 90000);
+        });
     });
 
     describe('Error Recovery Tests', () => {
+        let proxy;
+
+        // Faults come from a local proxy in front of the target, so these
+        // tests do not depend on how the real server behaves today. Their
+        // timings stay out of the latency stats and the injected 5xx out of
+        // the spec checks.
+        const throughProxy = options => new BookerClient({ baseUrl: proxy.url, timings: null, conformance: null, ...options });
+
+        beforeAll(async () => {
+            proxy = await startFaultProxy();
+        });
+
+        afterAll(() => proxy.close());
+
+        afterEach(() => proxy.clear());
+
         test('Recover from server errors with retry mechanism', async () => {
             const MAX_RETRIES = 3;
-            const RETRY_DELAY = 1000;
-
-            const makeRequestWithRetry = async (retryCount = 0) => {
-                try {
-                    const response = await request(baseUrl)
-                        .get('/booking')
-                        .set('Accept', 'application/json');
-                    return response;
-                } catch (error) {
-                    if (retryCount < MAX_RETRIES) {
-                        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
-                        return makeRequestWithRetry(retryCount + 1);
-                    }
-                    throw error;
-                }
-            };
+            proxy.inject({ route: 'GET /booking', status: 503, times: 2 });
 
-            const response = await makeRequestWithRetry();
-            expect(response.statusCode).toBe(200);
+            const { status, retries } = await throughProxy().listBookings(undefined, { retry: MAX_RETRIES });
+
+            expect(status).toBe(200);
+            expect(retries).toEqual(['HTTP 503', 'HTTP 503']);
         }, 15000);
 
+        test('Surface the server error once retries are exhausted', async () => {
+            proxy.inject({ route: 'GET /booking', status: 502 });
+
+            const { status, retries } = await throughProxy().listBookings(undefined, { retry: 2 });
+
+            expect(status).toBe(502);
+            expect(retries).toHaveLength(2);
+        });
+
         test('Handle timeout scenarios', async () => {
-            const TIMEOUT = 5000;
+            const TIMEOUT = 500;
+            proxy.inject({ route: 'GET /booking', latencyMs: TIMEOUT * 4 });
             const startTime = Date.now();
-            
-            try {
-                const response = await Promise.race([
-                    request(baseUrl).get('/booking'),
-                    new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error('Timeout')), TIMEOUT)
-                    )
-                ]);
-                
-                expect(response.statusCode).toBe(200);
-            } catch (error) {
-                expect(error.message).toBe('Timeout');
-            }
-            
+
+            await expect(throughProxy({ timeoutMs: TIMEOUT, retry: false }).listBookings())
+                .rejects.toMatchObject({ timeout: TIMEOUT });
+
             const endTime = Date.now();
             expect(endTime - startTime).toBeLessThan(TIMEOUT + 1000);
         });
+
+        test('Retry a request that timed out', async () => {
+            // Not a seeded booking: other suites may delete those meanwhile.
+            const { bookingid } = (await client.createBooking(factory.valid())).body;
+            proxy.inject({ route: 'GET /booking/:id', drop: true, times: 1 });
+
+            const { status, retries } = await throughProxy({ timeoutMs: 500 }).getBooking(bookingid);
+
+            expect(status).toBe(200);
+            expect(retries).toEqual(['timeout']);
+        });
+
+        test('Do not retry a booking creation after a dropped connection', async () => {
+            proxy.inject({ route: 'POST /booking', reset: true, times: 1 });
+
+            await expect(throughProxy().createBooking(performanceBooking)).rejects.toMatchObject({
+                code: 'ECONNRESET',
+                retries: []
+            });
+        });
+    });
+
+    describe('Latency Percentiles', () => {
+        beforeAll(async () => {
+            for (let i = 0; i < LATENCY_SAMPLES; i++) {
+                await client.listBookings();
+                await client.ping();
+            }
+        }, 60000);
+
+        test(`p95 of GET /booking stays below ${P95_THRESHOLD}ms`, () => {
+            expect(runCollector).toHavePercentileBelow('GET /booking', 95, P95_THRESHOLD);
+        });
+
+        test(`p99 of GET /booking stays below ${P99_THRESHOLD}ms`, () => {
+            expect(runCollector).toHavePercentileBelow('GET /booking', 99, P99_THRESHOLD);
+        });
+
+        test(`p95 of GET /ping stays below ${P95_THRESHOLD}ms`, () => {
+            expect(runCollector).toHavePercentileBelow('GET /ping', 95, P95_THRESHOLD);
+        });
+
+        test('GET /booking error rate stays at zero', () => {
+            expect(runCollector.stats('GET /booking').errorRate).toBe(0);
+        });
     });
 
     describe('Load Testing', () => {
@@ -334,31 +343,37 @@ describe('Performance and Health Tests', () => {
             const results = [];
     
             for (let i = 0; i < TOTAL_REQUESTS; i++) {
-                const startTime = Date.now();
-                const response = await request(baseUrl)
-                    .get('/booking')
-                    .set('Accept', 'application/json');
-                const endTime = Date.now();
-    
-                results.push({
-                    statusCode: response.statusCode,
-                    responseTime: endTime - startTime
-                });
+                results.push(await client.listBookings());
     
                 if (i < TOTAL_REQUESTS - 1) {
                     await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_REQUESTS));
                 }
             }
     
-            const averageResponseTime = results.reduce((sum, result) => 
-                sum + result.responseTime, 0) / results.length;
+            const { p50, p90, max, errorRate } = summarize(results);
     
-            console.log(`Average response time under sustained load: ${averageResponseTime}ms`);
+            console.log(`Response times under sustained load: p50 ${p50}ms, p90 ${p90}ms, max ${max}ms, error rate ${errorRate}`);
             
             results.forEach(result => {
-                expect([200, 418]).toContain(result.statusCode);
-                expect(result.responseTime).toBeLessThan(5000);
+                expect([200, 418]).toContain(result.status);
+                expect(result.durationMs).toBeLessThan(5000);
             });
         }, 30000);
     });
-});
\ No newline at end of file
+
+    // Runs last so it sees every request the suite made. A regression fails
+    // the run unless PERF_BASELINE_GATE=0.
+    describe('Baseline Regression', () => {
+        if (!baseline) {
+            test('No baseline recorded for this target', () => {
+                console.log(`No performance baseline for "${baselineKey()}"; accept this run with "npm run perf:baseline"`);
+            });
+            return;
+        }
+
+        const gate = baselineGateEnabled() ? test.each : test.skip.each;
+        gate(Object.keys(baseline.endpoints))('%s stays within its baseline', (endpoint) => {
+            expect(runCollector).toBeWithinBaseline(endpoint, baseline.endpoints[endpoint]);
+        });
+    });
+});
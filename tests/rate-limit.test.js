@@ -0,0 +1,170 @@
+const http = require('http');
+const { BookerClient } = require('../lib/client');
+const { startEmulator } = require('../lib/emulator/server');
+const {
+    backoffDelay,
+    createRateLimiter,
+    measureRecovery,
+    parseRetryAfter,
+    probeRateLimit,
+    rateLimitInfo
+} = require('../lib/rate-limit');
+
+describe('Rate Limiting', () => {
+    describe('Header Parsing', () => {
+        const now = Date.parse('2024-01-01T00:00:00Z');
+
+        test('Parse Retry-After as seconds or an HTTP date', () => {
+            expect(parseRetryAfter('2', now)).toBe(2000);
+            expect(parseRetryAfter('0.5', now)).toBe(500);
+            expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now)).toBe(30000);
+            expect(parseRetryAfter('Sun, 31 Dec 2023 23:59:00 GMT', now)).toBe(0);
+            expect(parseRetryAfter('soon', now)).toBeUndefined();
+            expect(parseRetryAfter(undefined, now)).toBeUndefined();
+        });
+
+        test('Read IETF and X- rate-limit headers', () => {
+            expect(rateLimitInfo({
+                status: 200,
+                headers: { 'ratelimit-limit': '10', 'ratelimit-remaining': '3', 'ratelimit-reset': '4' }
+            }, now)).toEqual({ status: 200, throttled: false, limit: 10, remaining: 3, resetMs: 4000, retryAfterMs: 4000 });
+
+            expect(rateLimitInfo({
+                status: 429,
+                headers: { 'x-ratelimit-limit': '60', 'x-ratelimit-reset': String(now / 1000 + 10), 'retry-after': '7' }
+            }, now)).toMatchObject({ throttled: true, limit: 60, resetMs: 10000, retryAfterMs: 7000 });
+        });
+
+        test('Treat 503 as throttling only when it advertises a retry delay', () => {
+            expect(rateLimitInfo({ status: 503, headers: { 'retry-after': '1' } }).throttled).toBe(true);
+            expect(rateLimitInfo({ status: 503, headers: {} }).throttled).toBe(false);
+            expect(rateLimitInfo({ status: 429, headers: {} }).throttled).toBe(true);
+        });
+
+        test('Back off by the advertised delay, else exponentially, within limits', () => {
+            const policy = { maxRetries: 3, baseDelayMs: 100, maxWaitMs: 5000 };
+
+            expect(backoffDelay({ retryAfterMs: 2000 }, 0, policy)).toBe(2000);
+            expect([0, 1, 2].map(attempt => backoffDelay({}, attempt, policy))).toEqual([100, 200, 400]);
+            expect(backoffDelay({}, 3, policy)).toBeUndefined();
+            expect(backoffDelay({ retryAfterMs: 60000 }, 0, policy)).toBeUndefined();
+        });
+
+        test('Count requests per fixed window', () => {
+            let time = 0;
+            const limiter = createRateLimiter({ limit: 2, windowMs: 1000, now: () => time });
+
+            expect(limiter.check().allowed).toBe(true);
+            time = 400;
+            expect(limiter.check().headers['RateLimit-Remaining']).toBe('0');
+            expect(limiter.check()).toMatchObject({ allowed: false, retryAfterSeconds: 1 });
+            time = 1000;
+            expect(limiter.check().allowed).toBe(true);
+        });
+    });
+
+    describe('Against a server answering 503 with Retry-After', () => {
+        let server;
+        let url;
+        let hits = 0;
+
+        beforeAll(async () => {
+            server = http.createServer((req, res) => {
+                hits += 1;
+                res.writeHead(503, { 'Content-Type': 'text/plain', 'Retry-After': '0' });
+                res.end('Service Unavailable');
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            url = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterAll(() => new Promise(resolve => server.close(resolve)));
+
+        beforeEach(() => {
+            hits = 0;
+        });
+
+        const clientFor = options => new BookerClient({ baseUrl: url, registry: null, timings: null, conformance: null, ...options });
+
+        test('Without a rate-limit policy, return the first throttled response', async () => {
+            const result = await clientFor({ rateLimit: null }).listBookings();
+
+            expect(result.status).toBe(503);
+            expect(result.retries).toBeUndefined();
+            expect(hits).toBe(1);
+        });
+
+        test('Give up after the rate-limit retries without retrying as a transient failure', async () => {
+            const result = await clientFor({ rateLimit: { maxRetries: 2, baseDelayMs: 10, maxWaitMs: 1000 } }).listBookings();
+
+            expect(result).toMatchObject({ status: 503, rateLimitRetries: 2 });
+            expect(result.retries).toBeUndefined();
+            expect(hits).toBe(3);
+        });
+    });
+
+    describe('Against a Throttled Emulator', () => {
+        const LIMIT = 5;
+        const WINDOW_MS = 1000;
+        let emulator;
+        let raw;
+
+        beforeAll(async () => {
+            emulator = await startEmulator({ rateLimit: { limit: LIMIT, windowMs: WINDOW_MS } });
+        });
+
+        afterAll(() => emulator.close());
+
+        beforeEach(async () => {
+            raw = new BookerClient({ baseUrl: emulator.url, registry: null, rateLimit: null });
+            // Start every test in a fresh window.
+            const { resetMs } = rateLimitInfo(await raw.ping());
+            await new Promise(resolve => setTimeout(resolve, resetMs));
+        });
+
+        test('Detect the onset of throttling', async () => {
+            const { onset, throttled } = await probeRateLimit(() => raw.ping(), { maxRequests: LIMIT * 3 });
+
+            expect(onset).toBe(LIMIT);
+            expect(throttled).toMatchObject({ status: 429, limit: LIMIT, remaining: 0 });
+            expect(throttled.retryAfterMs).toBeGreaterThan(0);
+        });
+
+        test('Recover no later than the advertised Retry-After', async () => {
+            const { throttled } = await probeRateLimit(() => raw.listBookings(), { maxRequests: LIMIT * 3 });
+            const recovery = await measureRecovery(() => raw.listBookings(), { pollMs: 50, timeoutMs: 5000 });
+
+            expect(recovery).toMatchObject({ recovered: true, status: 200 });
+            expect(recovery.recoveredAfterMs).toBeLessThanOrEqual(throttled.retryAfterMs + 100);
+        });
+
+        test('Still be throttled before the window resets', async () => {
+            await probeRateLimit(() => raw.ping(), { maxRequests: LIMIT * 3 });
+
+            expect((await raw.ping()).status).toBe(429);
+        });
+
+        test('Client backs off and retries throttled requests', async () => {
+            const client = new BookerClient({ baseUrl: emulator.url, registry: null });
+            const results = [];
+            for (let i = 0; i < LIMIT + 2; i++) {
+                results.push(await client.listBookings());
+            }
+
+            expect(results.map(result => result.status)).toEqual(Array(LIMIT + 2).fill(200));
+            expect(results[LIMIT].rateLimitRetries).toBeGreaterThanOrEqual(1);
+            expect(results[0].rateLimitRetries).toBeUndefined();
+        });
+
+        test('Client returns the 429 when the advertised wait is too long', async () => {
+            const client = new BookerClient({
+                baseUrl: emulator.url,
+                registry: null,
+                rateLimit: { maxRetries: 1, baseDelayMs: 10, maxWaitMs: 10 }
+            });
+            await probeRateLimit(() => raw.ping(), { maxRequests: LIMIT * 3 });
+
+            expect((await client.ping()).status).toBe(429);
+        });
+    });
+});
@@ -0,0 +1,154 @@
+const http = require('http');
+const { BookerClient } = require('../lib/client');
+const { resolveRetryPolicy, retryDelay, transientFailure } = require('../lib/resilience');
+
+// Answers each request with the next scripted action: a status code,
+// 'reset' to drop the connection or 'hang' to never answer. Once the script
+// runs out every request gets a 200.
+const startFlakyServer = async () => {
+    const script = [];
+    const hits = [];
+    const server = http.createServer((req, res) => {
+        hits.push(`${req.method} ${req.url}`);
+        req.resume();
+        const action = script.shift() || 200;
+        if (action === 'reset') return req.socket.destroy();
+        if (action === 'hang') return undefined;
+        res.writeHead(action, { 'Content-Type': 'application/json' });
+        return res.end(action === 200 ? '[]' : '{}');
+    });
+    const sockets = new Set();
+    server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        script,
+        hits,
+        close() {
+            sockets.forEach(socket => socket.destroy());
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+};
+
+describe('Resilience', () => {
+    describe('Retry Policy', () => {
+        test('Classify transient failures', () => {
+            expect(transientFailure({ status: 503 })).toBe('HTTP 503');
+            expect(transientFailure({ status: 502 })).toBe('HTTP 502');
+            expect(transientFailure({ error: Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }) })).toBe('ECONNRESET');
+            expect(transientFailure({ error: Object.assign(new Error('Timeout'), { code: 'ECONNABORTED', timeout: 50 }) })).toBe('timeout');
+
+            expect(transientFailure({ status: 500 })).toBeUndefined();
+            expect(transientFailure({ status: 404 })).toBeUndefined();
+            expect(transientFailure({ error: Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }) })).toBeUndefined();
+        });
+
+        test('Back off exponentially with full jitter up to the cap', () => {
+            const policy = { baseDelayMs: 100, maxDelayMs: 500 };
+
+            expect([0, 1, 2, 3].map(attempt => retryDelay(attempt, policy, () => 1))).toEqual([100, 200, 400, 500]);
+            expect(retryDelay(3, policy, () => 0)).toBe(0);
+            expect(retryDelay(1, policy, () => 0.5)).toBe(100);
+        });
+
+        test('Resolve per-call retry budgets', () => {
+            const policy = { retries: 2, baseDelayMs: 10, maxDelayMs: 100 };
+
+            expect(resolveRetryPolicy(policy, undefined)).toEqual(policy);
+            expect(resolveRetryPolicy(policy, false)).toBeUndefined();
+            expect(resolveRetryPolicy(policy, 5)).toEqual({ ...policy, retries: 5 });
+            expect(resolveRetryPolicy(policy, { idempotent: true })).toEqual({ ...policy, idempotent: true });
+            expect(resolveRetryPolicy(null, undefined)).toBeUndefined();
+        });
+    });
+
+    describe('Client Retries', () => {
+        let server;
+        let client;
+
+        beforeEach(async () => {
+            server = await startFlakyServer();
+            client = new BookerClient({
+                baseUrl: server.url,
+                registry: null,
+                conformance: null,
+                timeoutMs: 200,
+                retry: { retries: 2, baseDelayMs: 1, maxDelayMs: 5 }
+            });
+        });
+
+        afterEach(() => server.close());
+
+        test('Retry 503 responses on GET until one succeeds', async () => {
+            server.script.push(503, 503);
+
+            const { status, retries } = await client.listBookings();
+
+            expect(status).toBe(200);
+            expect(retries).toEqual(['HTTP 503', 'HTTP 503']);
+            expect(server.hits).toHaveLength(3);
+        });
+
+        test('Retry dropped connections and timeouts', async () => {
+            server.script.push('reset', 'hang');
+
+            const { status, retries } = await client.getBooking(1);
+
+            expect(status).toBe(200);
+            expect(retries).toEqual(['ECONNRESET', 'timeout']);
+        });
+
+        test('Never retry a POST unless asked', async () => {
+            server.script.push(503);
+            const { status, retries } = await client.createBooking({});
+
+            expect(status).toBe(503);
+            expect(retries).toBeUndefined();
+            expect(server.hits).toHaveLength(1);
+
+            server.script.push(503);
+            const retried = await client.createBooking({}, { retry: { idempotent: true } });
+
+            expect(retried.status).toBe(200);
+            expect(retried.retries).toEqual(['HTTP 503']);
+        });
+
+        test('Return the last failure once the budget is spent', async () => {
+            server.script.push(504, 504, 504, 504);
+
+            const { status, retries } = await client.listBookings(undefined, { retry: 3 });
+
+            expect(status).toBe(504);
+            expect(retries).toHaveLength(3);
+            expect(server.hits).toHaveLength(4);
+        });
+
+        test('Do not retry answers from the API itself', async () => {
+            server.script.push(500);
+
+            expect((await client.listBookings()).status).toBe(500);
+            expect(server.hits).toHaveLength(1);
+        });
+
+        test('Attach the retries to a transport error that persists', async () => {
+            server.script.push('reset', 'reset', 'reset');
+
+            await expect(client.ping()).rejects.toMatchObject({ retries: ['ECONNRESET', 'ECONNRESET'] });
+        });
+
+        test('Record retries for the test output annotation', async () => {
+            server.script.push(502);
+
+            await client.ping({ retry: 1 });
+
+            expect(globalThis.__BOOKER_RETRIES__).toEqual([
+                { endpoint: 'GET /ping', reasons: ['HTTP 502'], outcome: 'HTTP 200' }
+            ]);
+        });
+    });
+});
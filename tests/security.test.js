@@ -0,0 +1,255 @@
+const net = require('net');
+const { BookerClient } = require('../lib/client');
+const { startEmulator } = require('../lib/emulator/server');
+const { createBookingFactory } = require('../lib/factory');
+const { FORBIDDEN_KEYS } = require('../lib/formats');
+const {
+    INJECTION_STRINGS,
+    OPERATOR_VALUES,
+    POLLUTION_BODIES,
+    STACK_TRACE_PATTERN,
+    TRAVERSAL_IDS,
+    nestedJson,
+    nestedXml
+} = require('../lib/malicious');
+
+// Hostile input must be refused with a 4xx or a bare 5xx, never a stack trace.
+const expectRejected = ({ status, response }) => {
+    expect(status).toBeGreaterThanOrEqual(400);
+    expect(response.text || '').not.toMatch(STACK_TRACE_PATTERN);
+};
+
+describe('Malicious Input', () => {
+    const factory = createBookingFactory();
+    // Payload types are the point here, and only JSON carries them.
+    const client = new BookerClient({ format: 'json' });
+    let bookingId;
+    let booking;
+
+    beforeAll(async () => {
+        booking = factory.valid({ firstname: "Target" });
+        bookingId = (await client.createBooking(booking)).body.bookingid;
+    });
+
+    // The shared booking must come through every attack untouched.
+    afterAll(async () => {
+        const { status, body } = await client.getBooking(bookingId);
+
+        expect(status).toBe(200);
+        expect(body).toEqual(booking);
+    });
+
+    describe('Injection strings', () => {
+        test.each(INJECTION_STRINGS)('Store and return %s verbatim', async (name, payload) => {
+            const hostile = factory.valid({ firstname: payload, additionalneeds: payload });
+            const created = await client.createBooking(hostile);
+
+            expect(created.status).toBe(200);
+            expect(created.body.booking).toEqual(hostile);
+
+            const read = await client.getBooking(created.body.bookingid);
+            expect(read.body).toEqual(hostile);
+            expect(read.response.headers['content-type']).toMatch(/^application\/json/);
+            expect(read.response.headers).not.toHaveProperty('set-cookie');
+        });
+
+        test.each(INJECTION_STRINGS)('Match %s as a literal name filter', async (name, payload) => {
+            const { status, body } = await client.listBookings({ firstname: payload, lastname: payload });
+
+            expect(status).toBe(200);
+            expect(body).toEqual([]);
+        });
+
+        test('Accept an injection string through PATCH without touching other fields', async () => {
+            const original = factory.valid();
+            const { body: { bookingid } } = await client.createBooking(original);
+            const [, payload] = INJECTION_STRINGS.find(([name]) => name === 'script tag');
+
+            const { status, body } = await client.patchBooking(bookingid, { lastname: payload });
+
+            expect(status).toBe(200);
+            expect(body).toEqual({ ...original, lastname: payload });
+        });
+    });
+
+    describe('Query operators', () => {
+        test.each(OPERATOR_VALUES)('Refuse a %s operator as a booking field', async (name, operator) => {
+            expectRejected(await client.createBooking(factory.valid({ firstname: operator })));
+            expectRejected(await client.patchBooking(bookingId, { totalprice: operator }));
+        });
+
+        test.each(OPERATOR_VALUES)('Issue no token for %s operator credentials', async (name, operator) => {
+            const { body } = await client.auth({ username: operator, password: operator });
+
+            expect(body).not.toHaveProperty('token');
+        });
+    });
+
+    describe('Prototype pollution', () => {
+        test.each(POLLUTION_BODIES)('Drop %s keys from a stored booking', async (name, inject) => {
+            const hostile = factory.valid();
+            const result = await client.request('post', '/booking', {
+                body: inject(JSON.stringify(hostile))
+            });
+
+            if (result.status !== 200) {
+                return expectRejected(result);
+            }
+            const read = await client.getBooking(result.body.bookingid);
+            expect(read.body).toEqual(hostile);
+            expect(read.response.text).not.toMatch(/polluted|isAdmin/);
+        });
+
+        describe('Against an in-process emulator', () => {
+            // Shares this file's realm, so a polluted prototype would show here.
+            let emulator;
+            let local;
+
+            beforeAll(async () => {
+                emulator = await startEmulator();
+                local = new BookerClient({ baseUrl: emulator.url, format: 'json', registry: null, timings: null });
+            });
+
+            afterAll(() => emulator.close());
+
+            test.each(FORBIDDEN_KEYS)('Refuse %s in form and XML bodies without polluting the prototype', async (key) => {
+                const form = await local.request('post', '/booking', {
+                    body: `firstname=Jim&${key}[polluted]=yes&${key}[firstname]=Jim`,
+                    contentType: 'application/x-www-form-urlencoded'
+                });
+                const xml = await local.request('post', '/booking', {
+                    body: `<booking><${key}><polluted>yes</polluted></${key}><firstname>Jim</firstname></booking>`,
+                    contentType: 'text/xml'
+                });
+
+                expectRejected(form);
+                expectRejected(xml);
+                expect({}.polluted).toBeUndefined();
+            });
+
+            test.each(POLLUTION_BODIES)('Leave the prototype alone for %s JSON keys', async (name, inject) => {
+                await local.request('post', '/booking', { body: inject(JSON.stringify(factory.valid())) });
+
+                expect({}.polluted).toBeUndefined();
+                expect({}.isAdmin).toBeUndefined();
+            });
+        });
+
+        test.each(FORBIDDEN_KEYS)('Refuse %s in form and XML bodies', async (key) => {
+            const form = await client.request('post', '/booking', {
+                body: `${key}[polluted]=yes&firstname=Jim`,
+                contentType: 'application/x-www-form-urlencoded'
+            });
+            const xml = await client.request('post', '/booking', {
+                body: `<booking><${key}><polluted>yes</polluted></${key}><firstname>Jim</firstname></booking>`,
+                contentType: 'text/xml'
+            });
+
+            expectRejected(form);
+            expectRejected(xml);
+        });
+
+        test('Refuse XML with a DTD or external entity', async () => {
+            const xxe = '<?xml version="1.0"?><!DOCTYPE booking [<!ENTITY xxe SYSTEM "file:///etc/passwd">]>' +
+                '<booking><firstname>&xxe;</firstname></booking>';
+
+            const result = await client.request('post', '/booking', { body: xxe, contentType: 'text/xml' });
+
+            expectRejected(result);
+            expect(result.response.text).not.toMatch(/root:/);
+        });
+    });
+
+    describe('Oversized and deeply nested bodies', () => {
+        test('Refuse a body over 100 KiB', async () => {
+            const { status } = await client.createBooking(factory.valid({ additionalneeds: 'x'.repeat(200 * 1024) }));
+
+            expect([400, 413, 500]).toContain(status);
+        });
+
+        test('Round-trip a long field that fits the body limit', async () => {
+            const long = factory.valid({ additionalneeds: 'é'.repeat(20000) });
+            const { body: { bookingid } } = await client.createBooking(long);
+
+            expect((await client.getBooking(bookingid)).body).toEqual(long);
+        });
+
+        test.each([100, 5000, 20000])('Refuse JSON nested %i levels deep', async (depth) => {
+            const text = nestedJson('additionalneeds', depth).replace(/^\{/, `{${JSON.stringify(factory.valid()).slice(1, -1)},`);
+
+            expectRejected(await client.request('post', '/booking', { body: text }));
+            expect((await client.ping()).status).toBe(201);
+        });
+
+        test.each([100, 5000])('Refuse XML nested %i levels deep', async (depth) => {
+            const result = await client.request('post', '/booking', {
+                body: nestedXml('firstname', depth),
+                contentType: 'text/xml'
+            });
+
+            expectRejected(result);
+            expect((await client.ping()).status).toBe(201);
+        });
+    });
+
+    describe('Booking ids', () => {
+        test.each(TRAVERSAL_IDS)('Resolve /booking/%s to no booking', async (id) => {
+            const path = `/booking/${id}`;
+
+            const read = await client.request('get', path);
+            expect([400, 404]).toContain(read.status);
+            expect(read.response.text).not.toMatch(/root:|\[extensions\]|firstname/);
+            expect(read.response.headers).not.toHaveProperty('set-cookie');
+
+            const replaced = await client.request('put', path, { auth: 'basic', body: factory.valid() });
+            expect([400, 404, 405]).toContain(replaced.status);
+
+            const deleted = await client.request('delete', path, { auth: 'basic' });
+            expect([400, 404, 405]).toContain(deleted.status);
+        });
+    });
+
+    describe('Header injection', () => {
+        test('Keep CRLF in a stored field out of the response headers', async () => {
+            const hostile = factory.valid({ firstname: "Jim\r\nSet-Cookie: token=stolen\r\n\r\n<html>" });
+            const { body: { bookingid } } = await client.createBooking(hostile);
+
+            const { body, response } = await client.getBooking(bookingid);
+
+            expect(body).toEqual(hostile);
+            expect(response.headers).not.toHaveProperty('set-cookie');
+        });
+
+        test('Refuse to send a header value containing CRLF', async () => {
+            await expect(client.getBooking(bookingId, {
+                headers: { 'X-Forwarded-For': '127.0.0.1\r\nSet-Cookie: token=stolen' }
+            })).rejects.toThrow(/Invalid character in header/);
+        });
+
+        // Node's client will not send these, so they go over a raw socket.
+        const rawRequest = text => new Promise((resolve, reject) => {
+            const { hostname, port } = new URL(client.baseUrl);
+            const socket = net.connect(Number(port) || 80, hostname, () => socket.end(text));
+            let reply = '';
+            socket.setTimeout(5000, () => socket.destroy(new Error('Raw request timed out')));
+            socket.on('data', (chunk) => { reply += chunk; });
+            socket.on('end', () => resolve(reply));
+            socket.on('close', () => resolve(reply));
+            socket.on('error', reject);
+        });
+
+        const rawTest = client.baseUrl.startsWith('http:') ? test : test.skip;
+
+        rawTest.each([
+            ['bare CR in a header value', 'Accept: application/json\rSet-Cookie: token=stolen\r\n'],
+            ['header with a space before the colon', 'Cookie : token=stolen\r\n'],
+            ['conflicting Content-Length', 'Content-Length: 0\r\nContent-Length: 40\r\n']
+        ])('Refuse a request smuggling a %s', async (name, headers) => {
+            const { host } = new URL(client.baseUrl);
+            const reply = await rawRequest(`GET /booking/${bookingId} HTTP/1.1\r\nHost: ${host}\r\n${headers}Connection: close\r\n\r\n`);
+
+            expect(reply).toMatch(/^HTTP\/1\.1 400/);
+            expect(reply).not.toMatch(/set-cookie/i);
+        });
+    });
+});
@@ -0,0 +1,58 @@
+const fc = require('fast-check');
+const { BookerClient } = require('../lib/client');
+const { startEmulator } = require('../lib/emulator/server');
+const { BookingStore } = require('../lib/emulator/store');
+const { registerSeed, resolveSeed } = require('../lib/factory');
+const { bookingCommands, runCommands } = require('../lib/stateful');
+
+const STATEFUL_RUNS = Number(process.env.STATEFUL_RUNS || 100);
+const STATEFUL_TIMEOUT = 300000;
+
+describe('Model-Based Booking Sequences', () => {
+    // Generated strings keep their surrounding whitespace only in JSON.
+    const client = new BookerClient({ format: 'json' });
+    const seed = resolveSeed();
+
+    registerSeed(seed);
+
+    test('Every step of random CRUD sequences agrees with the reference model', async () => {
+        await fc.assert(
+            fc.asyncProperty(bookingCommands(), commands => runCommands(client, commands)),
+            { seed, numRuns: STATEFUL_RUNS }
+        );
+    }, STATEFUL_TIMEOUT);
+
+    describe('Against a server that keeps deleted bookings', () => {
+        // Reports deletes as successful without removing anything.
+        class LeakyStore extends BookingStore {
+            delete(id) {
+                return this.has(id);
+            }
+        }
+
+        let emulator;
+
+        beforeAll(async () => {
+            emulator = await startEmulator({ store: new LeakyStore() });
+        });
+
+        afterAll(() => emulator.close());
+
+        test('Shrink the divergence to the shortest failing sequence', async () => {
+            const leaky = new BookerClient({ baseUrl: emulator.url, format: 'json', registry: null, timings: null });
+
+            const result = await fc.check(
+                fc.asyncProperty(bookingCommands(), commands => runCommands(leaky, commands)),
+                { seed, numRuns: STATEFUL_RUNS }
+            );
+
+            expect(result.failed).toBe(true);
+            const steps = [...result.counterexample[0]].map(String);
+            expect(steps).toHaveLength(3);
+            expect(steps[0]).toMatch(/^Create\(/);
+            expect(steps[1]).toMatch(/^Delete\(/);
+            expect(steps[2]).toMatch(/^(Get|List|Update|Patch|Delete)\(/);
+            expect(String(result.errorInstance)).toMatch(/after delete|bookings named/);
+        }, STATEFUL_TIMEOUT);
+    });
+});
@@ -0,0 +1,150 @@
+const { BookerClient } = require('../lib/client');
+const { createManualClock } = require('../lib/clock');
+const { startEmulator } = require('../lib/emulator/server');
+const { createBookingFactory } = require('../lib/factory');
+const { createTokenManager } = require('../lib/tokens');
+
+describe('Token Lifecycle', () => {
+    const factory = createBookingFactory();
+    const TOKEN_TTL = 10 * 60 * 1000;
+    let clock;
+    let emulator;
+    let tokens;
+    let logins;
+
+    // Counts logins through the timing hook instead of trusting the client.
+    const clientFor = (options = {}) => new BookerClient({
+        baseUrl: emulator.url,
+        registry: null,
+        tokens,
+        timings: { record: ({ method, path }) => { logins += method === 'post' && path === '/auth' ? 1 : 0; } },
+        ...options
+    });
+
+    const createBooking = async client => (await client.createBooking(factory.valid())).body.bookingid;
+
+    beforeAll(async () => {
+        clock = createManualClock();
+        emulator = await startEmulator({ tokenTtlMs: TOKEN_TTL, now: clock.now });
+    });
+
+    afterAll(() => emulator.close());
+
+    beforeEach(() => {
+        tokens = createTokenManager({ now: clock.now });
+        logins = 0;
+    });
+
+    describe('Emulator Expiry', () => {
+        test('Accept a token until its time to live has passed', async () => {
+            const client = clientFor();
+            const { token } = await client.auth();
+            const id = await createBooking(client);
+
+            clock.advance(TOKEN_TTL - 1);
+            expect((await client.patchBooking(id, { totalprice: 1 }, { auth: { token } })).status).toBe(200);
+
+            clock.advance(1);
+            expect((await client.patchBooking(id, { totalprice: 2 }, { auth: { token } })).status).toBe(403);
+        });
+
+        test('Reject a revoked token', async () => {
+            const client = clientFor();
+            const { token } = await client.auth();
+            const id = await createBooking(client);
+
+            emulator.tokens.delete(token);
+
+            expect((await client.deleteBooking(id, { auth: { token } })).status).toBe(403);
+        });
+    });
+
+    describe('Token Manager', () => {
+        test('Re-authenticate and replay once when the cached token has expired', async () => {
+            const client = clientFor();
+            const id = await createBooking(client);
+            await client.patchBooking(id, { totalprice: 1 });
+
+            clock.advance(TOKEN_TTL);
+            const result = await client.patchBooking(id, { totalprice: 2 });
+
+            expect(result).toMatchObject({ status: 200, reauthenticated: true, tokenAgeMs: 0 });
+            expect(result.body.totalprice).toBe(2);
+            expect(logins).toBe(2);
+        });
+
+        test('Re-authenticate when the cached token was revoked', async () => {
+            const client = clientFor();
+            const id = await createBooking(client);
+            await client.patchBooking(id, { totalprice: 1 });
+
+            emulator.tokens.clear();
+
+            expect(await client.deleteBooking(id)).toMatchObject({ status: 201, reauthenticated: true });
+        });
+
+        test('Return the second 403 instead of looping', async () => {
+            // Every token this emulator issues is already expired.
+            const expiring = await startEmulator({ tokenTtlMs: 0, now: clock.now });
+            try {
+                const client = clientFor({ baseUrl: expiring.url });
+                const id = await createBooking(client);
+
+                expect(await client.deleteBooking(id)).toMatchObject({ status: 403, reauthenticated: true });
+                expect(logins).toBe(2);
+            } finally {
+                await expiring.close();
+            }
+        });
+
+        test('Share one login between clients and concurrent requests with the same credentials', async () => {
+            const id = await createBooking(clientFor());
+
+            const results = await Promise.all([clientFor(), clientFor(), clientFor()]
+                .map((client, i) => client.patchBooking(id, { totalprice: i })));
+
+            expect(results.map(({ status }) => status)).toEqual([200, 200, 200]);
+            expect(logins).toBe(1);
+        });
+
+        test('Record the age of the token on every request', async () => {
+            const client = clientFor();
+            const id = await createBooking(client);
+
+            expect((await client.patchBooking(id, { totalprice: 1 })).tokenAgeMs).toBe(0);
+            clock.advance(90 * 1000);
+            expect((await client.patchBooking(id, { totalprice: 2 })).tokenAgeMs).toBe(90 * 1000);
+        });
+
+        test('Cache tokens per target and credential set', async () => {
+            const issued = [];
+            const login = (baseUrl, credentials) => () => {
+                issued.push(credentials.username);
+                tokens.store(baseUrl, credentials, `token-${issued.length}`);
+            };
+            const admin = { username: 'admin', password: 'a' };
+            const other = { username: 'other', password: 'b' };
+
+            const sessions = [
+                await tokens.acquire('http://one', admin, login('http://one', admin)),
+                await tokens.acquire('http://one', admin, login('http://one', admin)),
+                await tokens.acquire('http://one', other, login('http://one', other)),
+                await tokens.acquire('http://two', admin, login('http://two', admin))
+            ];
+
+            expect(sessions.map(({ token }) => token)).toEqual(['token-1', 'token-1', 'token-2', 'token-3']);
+            expect(issued).toEqual(['admin', 'other', 'admin']);
+        });
+
+        test('Only drop the session that still holds the failed token', async () => {
+            const credentials = { username: 'admin', password: 'a' };
+            tokens.store('http://one', credentials, 'fresh');
+
+            tokens.invalidate('http://one', credentials, 'stale');
+            expect((await tokens.acquire('http://one', credentials, () => {})).token).toBe('fresh');
+
+            tokens.invalidate('http://one', credentials, 'fresh');
+            expect((await tokens.acquire('http://one', credentials, () => {})).token).toBeUndefined();
+        });
+    });
+});
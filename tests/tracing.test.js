@@ -0,0 +1,156 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { BookerClient } = require('../lib/client');
+const { createBookingFactory } = require('../lib/factory');
+const {
+    authModeOf,
+    filterTraffic,
+    formatTraffic,
+    parseCorrelationHeader,
+    readNdjson,
+    runTrafficLog,
+    writeTrafficLog
+} = require('../lib/tracing');
+
+const entry = (overrides = {}) => ({
+    timestamp: '2026-01-01T00:00:00.000Z',
+    correlationId: 'run-w1-1',
+    suite: 'booking.test.js',
+    test: 'Booking API Create Booking',
+    worker: '1',
+    method: 'POST',
+    path: '/booking',
+    route: 'POST /booking',
+    status: 200,
+    durationMs: 4.2,
+    ...overrides
+});
+
+describe('Request Tracing', () => {
+    const factory = createBookingFactory();
+
+    describe('Correlation header', () => {
+        let server;
+        let url;
+        const received = [];
+
+        beforeAll(async () => {
+            server = http.createServer((req, res) => {
+                received.push(req.headers['x-correlation-id']);
+                req.resume();
+                res.writeHead(201, { 'Content-Type': 'text/plain' });
+                res.end('Created');
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            url = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterAll(() => new Promise(resolve => server.close(resolve)));
+
+        test('Stamp every request with the suite, test and worker', async () => {
+            const client = new BookerClient({ baseUrl: url, registry: null, traffic: null });
+
+            await client.ping();
+            await client.ping();
+
+            const [first, second] = received.slice(-2).map(parseCorrelationHeader);
+            expect(first).toEqual({
+                id: expect.stringMatching(new RegExp(`^${process.env.BOOKER_RUN_ID}-w${process.env.JEST_WORKER_ID}-\\d+$`)),
+                suite: 'tracing.test.js',
+                test: 'Request Tracing Correlation header Stamp every request with the suite, test and worker',
+                worker: process.env.JEST_WORKER_ID
+            });
+            expect(second.id).not.toBe(first.id);
+        });
+    });
+
+    test('Log one line per request with its route, status and timing', async () => {
+        const client = new BookerClient();
+
+        const { body: { bookingid } } = await client.createBooking(factory.valid());
+        await client.getBooking(bookingid);
+        await client.updateBooking(bookingid, factory.valid(), { auth: 'none' });
+
+        const [created, fetched, refused] = runTrafficLog.entries.slice(-3);
+        expect(created).toMatchObject({ method: 'POST', path: '/booking', route: 'POST /booking', status: 200 });
+        expect(fetched).toMatchObject({ route: 'GET /booking/:id', status: 200 });
+        expect(refused).toMatchObject({ route: 'PUT /booking/:id', status: 403 });
+        expect(refused.test).toBe('Request Tracing Log one line per request with its route, status and timing');
+        expect(refused.durationMs).toBeGreaterThanOrEqual(0);
+        expect(new Date(refused.timestamp).getTime()).toBeGreaterThanOrEqual(new Date(created.timestamp).getTime());
+    });
+
+    test('Log the query and the credentials each request carried', async () => {
+        const client = new BookerClient();
+        const { body: { bookingid } } = await client.createBooking(factory.valid());
+
+        await client.listBookings({ firstname: "Trace" });
+        await client.deleteBooking(bookingid, { auth: 'basic' });
+
+        const [listed, deleted] = runTrafficLog.entries.slice(-2);
+        expect(listed).toMatchObject({ query: { firstname: "Trace" }, auth: 'none' });
+        expect(deleted.auth).toBe('basic');
+        expect(authModeOf({ cookie: 'theme=dark; token=abc', Authorization: 'Basic eDp5' })).toBe('cookie+basic');
+        expect(authModeOf({ Cookie: 'theme=dark' })).toBe('none');
+    });
+
+    test('Filter by test, suite, route, status and id', () => {
+        const entries = [
+            entry(),
+            entry({ correlationId: 'run-w1-2', method: 'PUT', path: '/booking/7', route: 'PUT /booking/:id', status: 403 }),
+            entry({ correlationId: 'run-w2-1', suite: 'auth.test.js', test: 'Auth API Invalid login', path: '/auth', route: 'POST /auth', status: 401 }),
+            entry({ correlationId: 'run-w2-2', status: undefined, error: 'ECONNRESET' })
+        ];
+        const ids = filters => filterTraffic(entries, filters).map(({ correlationId }) => correlationId);
+
+        expect(ids({ test: 'create booking' })).toEqual(['run-w1-1', 'run-w1-2', 'run-w2-2']);
+        expect(ids({ suite: 'auth' })).toEqual(['run-w2-1']);
+        expect(ids({ route: 'PUT /booking/:id' })).toEqual(['run-w1-2']);
+        expect(ids({ route: '/booking' })).toEqual(['run-w1-1', 'run-w1-2', 'run-w2-2']);
+        expect(ids({ status: '4xx' })).toEqual(['run-w1-2', 'run-w2-1']);
+        expect(ids({ status: '403' })).toEqual(['run-w1-2']);
+        expect(ids({ status: 'error' })).toEqual(['run-w2-2']);
+        expect(ids({ id: 'run-w2-1' })).toEqual(['run-w2-1']);
+        expect(ids({ route: '/booking', status: '2xx' })).toEqual(['run-w1-1']);
+    });
+
+    describe('Traffic log file', () => {
+        let dir;
+
+        beforeAll(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'booker-traffic-'));
+            const later = entry({ timestamp: '2026-01-01T00:00:02.000Z', correlationId: 'run-w2-1', status: 500 });
+            fs.writeFileSync(path.join(dir, 'traffic-2-a.ndjson'), `${JSON.stringify(later)}\n`);
+            fs.writeFileSync(path.join(dir, 'traffic-1-b.ndjson'), [
+                entry(),
+                entry({ timestamp: '2026-01-01T00:00:03.000Z', correlationId: 'run-w1-2' })
+            ].map(line => `${JSON.stringify(line)}\n`).join(''));
+        });
+
+        afterAll(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('Merge every worker\'s lines in time order', () => {
+            const file = path.join(dir, 'traffic-log.ndjson');
+
+            expect(writeTrafficLog(file, dir)).toBe(3);
+            expect(readNdjson(file).map(({ correlationId }) => correlationId)).toEqual(['run-w1-1', 'run-w2-1', 'run-w1-2']);
+        });
+
+        test('Query the log from the command line', () => {
+            const file = path.join(dir, 'traffic-log.ndjson');
+            writeTrafficLog(file, dir);
+            const script = path.join(__dirname, '..', 'scripts', 'traffic.js');
+
+            const text = execFileSync('node', [script, '--file', file, '--status', '5xx'], { encoding: 'utf8', timeout: 10000 });
+            expect(text).toBe(`${formatTraffic([readNdjson(file)[1]])}\n1 matching requests in ${file}\n`);
+
+            const json = execFileSync('node', [script, '--file', file, '--route', 'POST /booking', '--json'], { encoding: 'utf8', timeout: 10000 });
+            expect(json.trim().split('\n').map(line => JSON.parse(line).correlationId)).toEqual(['run-w1-1', 'run-w2-1', 'run-w1-2']);
+        });
+    });
+});